@@ -0,0 +1,411 @@
+/**
+ * Container query conditions for lazy-img
+ *
+ * Parses the size-feature subset of CSS container queries, e.g.
+ * "(min-width: 400px) and (max-width: 900px)" or
+ * "(400px <= inline-size < 60em) or (orientation: portrait)", into a test
+ * run against the size the shared ResizeObserver reports.
+ */
+
+// Features measured from the container, with horizontal writing modes
+// assumed so width is the inline size and height the block size
+const LENGTH_FEATURES = {
+	width: 'inlineSize',
+	height: 'blockSize',
+	'inline-size': 'inlineSize',
+	'block-size': 'blockSize',
+};
+const ORIENTATIONS = ['portrait', 'landscape'];
+const LENGTH_UNITS = ['px', 'em', 'rem'];
+const COMPARISONS = ['<', '<=', '>', '>=', '='];
+const FLIPPED_COMPARISONS = {
+	'<': '>',
+	'<=': '>=',
+	'>': '<',
+	'>=': '<=',
+	'=': '=',
+};
+
+const TOKEN_PATTERN =
+	/\s*(?:(<=|>=|[()<>=:/])|(\d*\.?\d+)([a-z%]*)|([a-z][a-z-]*))\s*/iy;
+
+/**
+ * A container-query value that doesn't follow the syntax
+ */
+class ContainerQuerySyntaxError extends Error {}
+
+function tokenize(query) {
+	const tokens = [];
+	TOKEN_PATTERN.lastIndex = 0;
+	while (TOKEN_PATTERN.lastIndex < query.length) {
+		const position = TOKEN_PATTERN.lastIndex;
+		const match = TOKEN_PATTERN.exec(query);
+		if (!match) {
+			const char = query.slice(position).trim()[0];
+			throw new ContainerQuerySyntaxError(
+				`unexpected "${char}" at position ${query.indexOf(char, position) + 1}`,
+			);
+		}
+		const [, symbol, number, unit, ident] = match;
+		if (symbol) {
+			tokens.push({ type: 'symbol', value: symbol });
+		} else if (number) {
+			tokens.push({
+				type: 'number',
+				value: parseFloat(number),
+				unit: unit.toLowerCase(),
+				text: `${number}${unit}`,
+			});
+		} else if (ident) {
+			tokens.push({ type: 'ident', value: ident.toLowerCase() });
+		}
+	}
+	return tokens;
+}
+
+function describe(token) {
+	if (!token) {
+		return 'the end of the query';
+	}
+	return `"${token.type === 'number' ? token.text : token.value}"`;
+}
+
+function isSymbol(token, value) {
+	return token?.type === 'symbol' && token.value === value;
+}
+
+function isIdent(token, value) {
+	return token?.type === 'ident' && token.value === value;
+}
+
+function compare(measured, comparison, limit) {
+	switch (comparison) {
+		case '<':
+			return measured < limit;
+		case '<=':
+			return measured <= limit;
+		case '>':
+			return measured > limit;
+		case '>=':
+			return measured >= limit;
+		default:
+			return measured === limit;
+	}
+}
+
+/**
+ * Parses a length, resolved against the container's font sizes when the
+ * query runs
+ * @returns {Function} Maps a size to the length in pixels
+ */
+function parseLength(tokens, feature) {
+	const [token, extra] = tokens;
+	if (tokens.length !== 1 || token.type !== 'number') {
+		throw new ContainerQuerySyntaxError(
+			`expected a length for "${feature}", got ${describe(extra && token.type === 'number' ? extra : token)}`,
+		);
+	}
+	const { value, unit, text } = token;
+	if (!unit) {
+		if (value !== 0) {
+			throw new ContainerQuerySyntaxError(
+				`"${text}" needs a unit (px, em, or rem)`,
+			);
+		}
+		return () => 0;
+	}
+	if (!LENGTH_UNITS.includes(unit)) {
+		throw new ContainerQuerySyntaxError(
+			`unsupported unit "${unit}" in "${text}", expected px, em, or rem`,
+		);
+	}
+	if (unit === 'px') {
+		return () => value;
+	}
+	return (size) => value * size[unit];
+}
+
+/**
+ * Parses a ratio: "16/9", "16 / 9", or a single number like "1.5"
+ * @returns {Function} Returns the ratio as a number
+ */
+function parseRatio(tokens, feature) {
+	const [width, slash, height] = tokens;
+	const valid =
+		width?.type === 'number' &&
+		!width.unit &&
+		(tokens.length === 1 ||
+			(tokens.length === 3 &&
+				isSymbol(slash, '/') &&
+				height.type === 'number' &&
+				!height.unit &&
+				height.value > 0));
+	if (!valid) {
+		throw new ContainerQuerySyntaxError(
+			`expected a ratio like 16/9 for "${feature}"`,
+		);
+	}
+	const ratio =
+		tokens.length === 3 ? width.value / height.value : width.value;
+	return () => ratio;
+}
+
+/**
+ * Builds the test for one feature compared with a value
+ */
+function compileComparison(feature, comparison, valueTokens) {
+	if (feature === 'orientation') {
+		const [token] = valueTokens;
+		if (
+			comparison !== '=' ||
+			valueTokens.length !== 1 ||
+			!ORIENTATIONS.includes(token.value)
+		) {
+			throw new ContainerQuerySyntaxError(
+				'"orientation" must be "portrait" or "landscape"',
+			);
+		}
+		// Like the orientation media feature, square counts as portrait
+		const portrait = token.value === 'portrait';
+		return (size) => size.blockSize >= size.inlineSize === portrait;
+	}
+
+	if (feature === 'aspect-ratio') {
+		const ratio = parseRatio(valueTokens, feature);
+		return (size) =>
+			compare(size.inlineSize / size.blockSize, comparison, ratio());
+	}
+
+	const dimension = LENGTH_FEATURES[feature];
+	if (!dimension) {
+		throw new ContainerQuerySyntaxError(`unknown feature "${feature}"`);
+	}
+	const length = parseLength(valueTokens, feature);
+	return (size) => compare(size[dimension], comparison, length(size));
+}
+
+function isFeatureName(name) {
+	return (
+		name in LENGTH_FEATURES ||
+		name === 'aspect-ratio' ||
+		name === 'orientation'
+	);
+}
+
+/**
+ * Parses the inside of "( … )" when it holds a size feature
+ */
+function compileFeature(tokens) {
+	const [first, second] = tokens;
+	if (!first) {
+		throw new ContainerQuerySyntaxError('empty parentheses');
+	}
+
+	// Boolean context: (width) is true when the width isn't zero
+	if (tokens.length === 1 && first.type === 'ident') {
+		if (!isFeatureName(first.value)) {
+			throw new ContainerQuerySyntaxError(
+				`unknown feature "${first.value}"`,
+			);
+		}
+		if (first.value === 'orientation') {
+			return () => true;
+		}
+		if (first.value === 'aspect-ratio') {
+			return (size) => size.inlineSize > 0 && size.blockSize > 0;
+		}
+		const dimension = LENGTH_FEATURES[first.value];
+		return (size) => size[dimension] !== 0;
+	}
+
+	// Plain: (min-width: 400px), (orientation: portrait)
+	if (first.type === 'ident' && isSymbol(second, ':')) {
+		const [, prefix, feature] = first.value.match(/^(min-|max-)?(.*)$/);
+		if (!isFeatureName(feature)) {
+			throw new ContainerQuerySyntaxError(
+				`unknown feature "${first.value}"`,
+			);
+		}
+		if (prefix && feature === 'orientation') {
+			throw new ContainerQuerySyntaxError(
+				`"orientation" can't take a "${prefix}" prefix`,
+			);
+		}
+		const comparison = { 'min-': '>=', 'max-': '<=' }[prefix] || '=';
+		return compileComparison(feature, comparison, tokens.slice(2));
+	}
+
+	// Range: (width > 400px), (400px < width), (400px <= width < 900px)
+	const segments = [[]];
+	const comparisons = [];
+	for (const token of tokens) {
+		if (token.type === 'symbol' && COMPARISONS.includes(token.value)) {
+			comparisons.push(token.value);
+			segments.push([]);
+		} else {
+			segments[segments.length - 1].push(token);
+		}
+	}
+	if (comparisons.length === 0 || comparisons.length > 2) {
+		throw new ContainerQuerySyntaxError(
+			`expected a feature like "(min-width: 400px)" or "(width > 400px)", got ${describe(second || first)}`,
+		);
+	}
+	const nameIndex = segments.findIndex(
+		(segment) => segment.length === 1 && segment[0].type === 'ident',
+	);
+	const name = segments[nameIndex]?.[0].value;
+	if (!name || !isFeatureName(name)) {
+		throw new ContainerQuerySyntaxError(
+			name ? `unknown feature "${name}"` : 'missing a feature name',
+		);
+	}
+	if (name === 'orientation') {
+		throw new ContainerQuerySyntaxError(
+			'"orientation" can only be compared with ":"',
+		);
+	}
+
+	if (comparisons.length === 1) {
+		const [comparison] = comparisons;
+		return nameIndex === 0
+			? compileComparison(name, comparison, segments[1])
+			: compileComparison(
+					name,
+					FLIPPED_COMPARISONS[comparison],
+					segments[0],
+				);
+	}
+
+	// Both comparisons of a double range must point the same way
+	const [lower, upper] = comparisons;
+	const ascending = lower.startsWith('<') && upper.startsWith('<');
+	const descending = lower.startsWith('>') && upper.startsWith('>');
+	if (nameIndex !== 1 || !(ascending || descending)) {
+		throw new ContainerQuerySyntaxError(
+			`expected a range like "(400px <= ${name} < 900px)"`,
+		);
+	}
+	const tests = [
+		compileComparison(name, FLIPPED_COMPARISONS[lower], segments[0]),
+		compileComparison(name, upper, segments[2]),
+	];
+	return (size) => tests.every((test) => test(size));
+}
+
+function expectSymbol(state, value) {
+	const token = state.tokens[state.index++];
+	if (!isSymbol(token, value)) {
+		throw new ContainerQuerySyntaxError(
+			`expected "${value}", got ${describe(token)}`,
+		);
+	}
+}
+
+/**
+ * <condition> = not <in-parens>
+ *   | <in-parens> [and <in-parens>]*
+ *   | <in-parens> [or <in-parens>]*
+ */
+function parseCondition(state) {
+	const { tokens } = state;
+	if (isIdent(tokens[state.index], 'not')) {
+		state.index++;
+		const test = parseInParens(state);
+		const following = tokens[state.index];
+		if (isIdent(following, 'and') || isIdent(following, 'or')) {
+			throw new ContainerQuerySyntaxError(
+				`"not" can't be combined with "${following.value}" without parentheses`,
+			);
+		}
+		return (size) => !test(size);
+	}
+
+	const tests = [parseInParens(state)];
+	let combinator = null;
+	while (
+		isIdent(tokens[state.index], 'and') ||
+		isIdent(tokens[state.index], 'or')
+	) {
+		const { value } = tokens[state.index++];
+		if (combinator && combinator !== value) {
+			throw new ContainerQuerySyntaxError(
+				'"and" and "or" can\'t be mixed without parentheses',
+			);
+		}
+		combinator = value;
+		tests.push(parseInParens(state));
+	}
+
+	if (tests.length === 1) {
+		return tests[0];
+	}
+	return combinator === 'and'
+		? (size) => tests.every((test) => test(size))
+		: (size) => tests.some((test) => test(size));
+}
+
+/**
+ * <in-parens> = ( <condition> ) | ( <size-feature> )
+ */
+function parseInParens(state) {
+	const { tokens } = state;
+	expectSymbol(state, '(');
+	const token = tokens[state.index];
+	if (isSymbol(token, '(') || isIdent(token, 'not')) {
+		const test = parseCondition(state);
+		expectSymbol(state, ')');
+		return test;
+	}
+
+	const start = state.index;
+	while (tokens[state.index] && !isSymbol(tokens[state.index], ')')) {
+		if (isSymbol(tokens[state.index], '(')) {
+			throw new ContainerQuerySyntaxError(
+				'unexpected "(" inside a feature',
+			);
+		}
+		state.index++;
+	}
+	const test = compileFeature(tokens.slice(start, state.index));
+	expectSymbol(state, ')');
+	return test;
+}
+
+/**
+ * Parses a container-query attribute value
+ * @param {string} value - The query, e.g. "(min-width: 400px) and (max-width: 900px)"
+ * @returns {Object|null} `{ test, usesFontUnits }`, where test(size) takes
+ *   `{ inlineSize, blockSize, em, rem }` in pixels, or null if invalid
+ */
+export function parseContainerQuery(value) {
+	const trimmed = value ? value.trim() : '';
+	if (!trimmed) {
+		return null;
+	}
+
+	try {
+		const tokens = tokenize(trimmed);
+		const state = { tokens, index: 0 };
+		const test = parseCondition(state);
+		if (state.index < tokens.length) {
+			throw new ContainerQuerySyntaxError(
+				`unexpected ${describe(tokens[state.index])} after the query`,
+			);
+		}
+		return {
+			test,
+			usesFontUnits: tokens.some(
+				(token) => token.unit === 'em' || token.unit === 'rem',
+			),
+		};
+	} catch (error) {
+		if (!(error instanceof ContainerQuerySyntaxError)) {
+			throw error;
+		}
+		console.warn(
+			`lazy-img: invalid container-query "${value}": ${error.message}`,
+		);
+		return null;
+	}
+}
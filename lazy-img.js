@@ -14,46 +14,481 @@
  * @attr {string} fetchpriority - Resource fetch priority ("high", "low", or "auto")
  * @attr {string} crossorigin - CORS settings ("anonymous" or "use-credentials")
  * @attr {string} referrerpolicy - Referrer policy for the image request
+ * @attr {string} placeholder - Shown until the image loads: a BlurHash, "thumbhash:<base64>", a data URI, or a CSS color
+ * @attr {string} fallback-src - Image URL to use once the primary source (and any retries) fail
+ * @attr {string} retry-count - Number of times to retry a failed load before giving up (default: 0)
+ * @attr {string} retry-delay - Base delay (in milliseconds) before the first retry, doubled for each attempt (default: 1000)
+ * @attr {string} sources - Size tiers as "<min-inline-size>: <url>" pairs (e.g., "320: small.jpg, 768: medium.jpg"); the largest fitting tier loads and upgrades as the container grows
+ * @attr {string} unload - Opt-in unloading to free memory: "disqualify" (when conditions stop being met) or "offscreen" (when far outside the viewport)
+ * @attr {string} unload-delay - How long (in milliseconds) the element must stay disqualified or offscreen before unloading (default: 2000)
+ * @attr {string} unload-margin - How far outside the viewport an element must be to count as offscreen, as an IntersectionObserver rootMargin (default: "100%")
+ * @attr {boolean} skip-on-save-data - Don't load while the user asks to save data (Save-Data or prefers-reduced-data)
+ * @attr {string} min-effective-type - Minimum network effective type to load: "slow-2g", "2g", "3g", or "4g"
+ * @attr {string} min-device-memory - Minimum device memory (in GB, as reported by navigator.deviceMemory) to load
+ * @attr {string} print - Set to "skip" to leave the image out when pending images are force-loaded for printing
+ * @attr {string} media - A media query (e.g., "(min-width: 48em) and (hover: hover)") that must match to load the image, re-checked when it changes
+ * @attr {string} container - Which ancestor to measure in container mode: a CSS selector (matched with closest(), across shadow boundaries) or a CSS container-name (default: the parent element)
  * @attr {string} min-inline-size - Minimum inline size (in pixels) to load the image
+ * @attr {string} max-inline-size - Maximum inline size (in pixels) to load the image
+ * @attr {string} min-block-size - Minimum block size (in pixels) to load the image
+ * @attr {string} max-block-size - Maximum block size (in pixels) to load the image
+ * @attr {string} min-aspect-ratio - Minimum aspect ratio (inline / block, e.g., "4/3") to load the image
+ * @attr {string} max-aspect-ratio - Maximum aspect ratio (inline / block, e.g., "16/9") to load the image
+ * @attr {string} orientation - Load only in "portrait" or "landscape" orientation
+ * @attr {string} container-query - A CSS container query condition (e.g., "(min-width: 400px) and (max-width: 900px)") evaluated against the measured container size
  * @attr {string} named-breakpoints - Comma-separated list of named breakpoints (reads from --lazy-img-mq CSS custom property)
- * @attr {string} query - Query type: "container" (default), "media", or "view" for IntersectionObserver
- * @attr {string} view-range-start - When to load in view mode: "entry X%" for threshold or "entry -Xpx" for preload margin (default: "entry 0%")
- * @attr {boolean} loaded - Reflects whether the image has been loaded (read-only, set by component)
- * @attr {boolean} qualifies - Reflects whether element currently meets conditions to display (read-only, set by component, not used in view mode)
+ * @attr {string} query - Query type: "container" (default), "media", "view" for IntersectionObserver, or "idle" to load in an idle period after the page loads; a size query can be combined with view or idle (e.g., "container view") to require both
+ * @attr {string} view-range-start - When to load in view mode, as "<range> <offset>" with a range of cover, contain, entry, exit, or entry-crossing and a px, %, vh, vw, or rem offset (e.g., "entry 25%" or "entry -200px"; default: "entry 0%")
+ * @attr {string} view-root - A CSS selector for the scrolling ancestor view mode observes against (default: the viewport)
+ * @attr {string} defer-until - Don't load until a document event with this name fires or a promise registered with LazyImgElement.defer() under this name resolves
+ * @attr {string} trigger - Wait for the user: "click" shows a "Load image" button, "intent" loads on hover or focus of the intent target; the other conditions still apply
+ * @attr {string} intent-target - A CSS selector for the ancestor whose hover or focus loads the image with trigger="intent" (default: the closest link, otherwise the element itself)
+ * @attr {string} size-hint - The download size shown on the trigger="click" button (e.g., "2.4 MB")
+ * @attr {boolean} preload - Hint the image's fetch with a <link rel="preload"> in the document head when it qualifies as it connects (or server-rendered with renderPreloadLinks() in ssr.js), or with a <link rel="prefetch"> as it approaches in view mode
+ * @attr {string} prefetch-margin - How close a view mode image with preload must come to be prefetched, as an IntersectionObserver rootMargin (default: "100%")
+ * @attr {boolean} swap-on-change - Pick up src, srcset, and sizes changes after loading: preload and decode the new image, then swap it in (or reset to unloaded when the element doesn't qualify)
+ * @attr {boolean} loaded - Reflects whether the image has finished loading (read-only, set by component)
+ * @attr {boolean} errored - Reflects whether the image failed to load (read-only, set by component)
+ * @attr {boolean} qualifies - Reflects whether element currently meets conditions to display (read-only, set by component, the size conditions when combined with view, not used in view-only mode)
  *
- * @fires lazy-img:loaded - Dispatched when the image has been loaded
+ * @fires lazy-img:queued - Dispatched when the image has to wait for a free slot in the shared load queue
+ * @fires lazy-img:loaded - Dispatched when the inner image has finished loading
+ * @fires lazy-img:retry - Dispatched each time a failed load is attempted again (including the fallback)
+ * @fires lazy-img:error - Dispatched when the inner image fails to load and no attempts remain
+ * @fires lazy-img:unloaded - Dispatched when an image is unloaded to free memory
+ * @fires lazy-img:sourcechange - Dispatched when swap-on-change picks up a new source, after the swap or the reset to unloaded
  *
  * @cssprop --lazy-img-display - Display mode (default: block)
- * @cssprop --lazy-img-mq - Named media query identifier (set at :root level via media queries)
+ * @cssprop --lazy-img-fade-duration - Crossfade duration from the placeholder to the loaded image (default: 300ms)
+ * @cssprop --lazy-img-mq - Named breakpoint identifier, read from the nearest ancestor that sets it (e.g., :root via media queries, or a container via style queries)
+ *
+ * @csspart placeholder - The placeholder shown until the image loads
+ * @csspart trigger - The "Load image" button shown with trigger="click"
+ * @csspart trigger-alt - The alt text inside the trigger button
+ * @csspart trigger-size - The size-hint inside the trigger button
+ *
+ * @slot trigger-label - Replaces the trigger button's "Load image" label (e.g., to translate it)
+ *
+ * @cssstate queued - The image is waiting for a free slot in the shared load queue
+ * @cssstate loading - The inner image has been requested but has not loaded yet
+ * @cssstate loaded - The inner image has finished loading
+ * @cssstate errored - The inner image failed to load
+ */
+
+import { parseContainerQuery } from './container-query.js';
+import { getPlaceholderStyle, parsePlaceholder } from './placeholder.js';
+
+/**
+ * The element's parent, stepping out of a shadow root to its host
+ * @param {Element} element
+ * @returns {Element|null}
  */
+function getComposedParent(element) {
+	return element.parentElement || element.getRootNode().host || null;
+}
 
 // Shared ResizeObserver registry to improve performance when multiple
 // lazy-img elements observe the same parent container
 const sharedObservers = new WeakMap();
 
-// Shared window resize listener to improve performance when multiple
-// lazy-img elements use media query mode
-const windowResizeCallbacks = new Set();
-let windowResizeListenerAttached = false;
+// Shared event listeners to improve performance when multiple lazy-img
+// elements react to the same event (window resize, online, connection
+// change, etc.): one listener per target and event type
+const sharedEventListeners = new WeakMap();
 
-function handleWindowResize() {
-	windowResizeCallbacks.forEach((callback) => callback());
+function addSharedEventCallback(target, type, callback) {
+	let types = sharedEventListeners.get(target);
+	if (!types) {
+		types = new Map();
+		sharedEventListeners.set(target, types);
+	}
+	let shared = types.get(type);
+	if (!shared) {
+		const callbacks = new Set();
+		const listener = (event) => {
+			callbacks.forEach((registered) => registered(event));
+		};
+		shared = { callbacks, listener };
+		types.set(type, shared);
+		target.addEventListener(type, listener);
+	}
+	shared.callbacks.add(callback);
 }
 
-function addWindowResizeCallback(callback) {
-	windowResizeCallbacks.add(callback);
-	if (!windowResizeListenerAttached) {
-		window.addEventListener('resize', handleWindowResize);
-		windowResizeListenerAttached = true;
+function removeSharedEventCallback(target, type, callback) {
+	const types = sharedEventListeners.get(target);
+	const shared = types?.get(type);
+	if (!shared) {
+		return;
+	}
+	shared.callbacks.delete(callback);
+	// Clean up listener if no more callbacks
+	if (shared.callbacks.size === 0) {
+		target.removeEventListener(type, shared.listener);
+		types.delete(type);
 	}
 }
 
-function removeWindowResizeCallback(callback) {
-	windowResizeCallbacks.delete(callback);
-	// Clean up listener if no more callbacks
-	if (windowResizeCallbacks.size === 0 && windowResizeListenerAttached) {
-		window.removeEventListener('resize', handleWindowResize);
-		windowResizeListenerAttached = false;
+// Shared MediaQueryList registry so each unique query is matched, and
+// listened to, only once
+const mediaQueryLists = new Map();
+
+function getMediaQueryList(query) {
+	if (!mediaQueryLists.has(query)) {
+		mediaQueryLists.set(query, window.matchMedia(query));
+	}
+	return mediaQueryLists.get(query);
+}
+
+// Connected instances, force-loaded through one shared beforeprint and
+// print media listener so pending images don't print as blank boxes
+const printElements = new Set();
+const PRINT_QUERY = 'print';
+
+function handlePrint(event) {
+	// The print MediaQueryList also fires when printing ends
+	if (event?.type === 'change' && !event.matches) {
+		return;
+	}
+	loadElementsForPrint();
+}
+
+function loadElementsForPrint() {
+	return Promise.all(
+		[...printElements].map((element) => element._loadForPrint()),
+	);
+}
+
+function addPrintElement(element) {
+	if (printElements.size === 0) {
+		addSharedEventCallback(window, 'beforeprint', handlePrint);
+		if (typeof window.matchMedia === 'function') {
+			addSharedEventCallback(
+				getMediaQueryList(PRINT_QUERY),
+				'change',
+				handlePrint,
+			);
+		}
+	}
+	printElements.add(element);
+}
+
+function removePrintElement(element) {
+	if (!printElements.delete(element) || printElements.size > 0) {
+		return;
+	}
+	removeSharedEventCallback(window, 'beforeprint', handlePrint);
+	if (mediaQueryLists.has(PRINT_QUERY)) {
+		removeSharedEventCallback(
+			mediaQueryLists.get(PRINT_QUERY),
+			'change',
+			handlePrint,
+		);
+	}
+}
+
+// Named breakpoints: --lazy-img-mq values read once per ancestor per frame
+// and shared by every element below it. Without a frame clock (outside
+// browsers) values are read fresh every time
+const MQ_PROPERTY = '--lazy-img-mq';
+const activeMQCache = { frame: null, values: new WeakMap() };
+
+function readActiveMQ(source) {
+	const frame = document.timeline?.currentTime ?? null;
+	if (frame === null) {
+		return getComputedStyle(source).getPropertyValue(MQ_PROPERTY).trim();
+	}
+	if (frame !== activeMQCache.frame) {
+		activeMQCache.frame = frame;
+		activeMQCache.values = new WeakMap();
+	}
+	if (!activeMQCache.values.has(source)) {
+		activeMQCache.values.set(
+			source,
+			getComputedStyle(source).getPropertyValue(MQ_PROPERTY).trim(),
+		);
+	}
+	return activeMQCache.values.get(source);
+}
+
+// Elements whose --lazy-img-mq changed, re-checked together next frame
+const pendingBreakpointChecks = new Set();
+
+function scheduleBreakpointCheck(element) {
+	if (pendingBreakpointChecks.size === 0) {
+		requestAnimationFrame(flushBreakpointChecks);
+	}
+	pendingBreakpointChecks.add(element);
+}
+
+function flushBreakpointChecks() {
+	// Values cached earlier this frame may predate the change
+	activeMQCache.frame = null;
+	const elements = [...pendingBreakpointChecks];
+	pendingBreakpointChecks.clear();
+	elements.forEach((element) => {
+		if (element.isConnected) {
+			element._checkAndLoad();
+		}
+	});
+}
+
+// Idle mode: elements wait for the window load event, then start in
+// idle periods shared by every instance. Browsers without
+// requestIdleCallback fall back to a short timeout
+const IDLE_TIMEOUT = 2000; // milliseconds
+const IDLE_FALLBACK_DELAY = 200; // milliseconds
+const idleScheduler = {
+	elements: new Set(),
+	scheduled: false,
+};
+
+function addIdleElement(element) {
+	idleScheduler.elements.add(element);
+	if (idleScheduler.scheduled) {
+		return;
+	}
+	idleScheduler.scheduled = true;
+	if (document.readyState === 'complete') {
+		requestIdlePeriod();
+	} else {
+		window.addEventListener('load', requestIdlePeriod, { once: true });
+	}
+}
+
+function removeIdleElement(element) {
+	idleScheduler.elements.delete(element);
+}
+
+function requestIdlePeriod() {
+	if (typeof requestIdleCallback === 'function') {
+		requestIdleCallback(flushIdleElements, { timeout: IDLE_TIMEOUT });
+	} else {
+		setTimeout(flushIdleElements, IDLE_FALLBACK_DELAY);
+	}
+}
+
+function flushIdleElements(deadline) {
+	for (const element of idleScheduler.elements) {
+		// Leave the rest for the next idle period once this one runs out
+		if (deadline && !deadline.didTimeout && deadline.timeRemaining() <= 0) {
+			requestIdlePeriod();
+			return;
+		}
+		idleScheduler.elements.delete(element);
+		element._idleReached = true;
+		element._recheckConditions();
+	}
+	idleScheduler.scheduled = false;
+}
+
+// defer-until gates, shared by name: each is released by a document event
+// of that name or a promise registered with LazyImgElement.defer()
+const deferrals = new Map();
+
+function getDeferral(name) {
+	if (!deferrals.has(name)) {
+		const deferral = { released: false, elements: new Set() };
+		deferral.listener = () => releaseDeferral(name);
+		document.addEventListener(name, deferral.listener, { once: true });
+		deferrals.set(name, deferral);
+	}
+	return deferrals.get(name);
+}
+
+function releaseDeferral(name) {
+	const deferral = getDeferral(name);
+	if (deferral.released) {
+		return;
+	}
+	deferral.released = true;
+	document.removeEventListener(name, deferral.listener);
+	const elements = [...deferral.elements];
+	deferral.elements.clear();
+	elements.forEach((element) => element._recheckConditions());
+}
+
+// Shared load scheduler: caps how many inner images fetch at once so a
+// whole grid qualifying together doesn't flood the connection. Waiting
+// loads start by fetchpriority, then viewport distance, then DOM order
+const DEFAULT_MAX_CONCURRENT_LOADS = 6;
+const FETCH_PRIORITIES = { high: 0, auto: 1, low: 2 };
+const loadScheduler = {
+	maxConcurrent: DEFAULT_MAX_CONCURRENT_LOADS,
+	active: new Set(),
+	queue: new Set(),
+	unannounced: new Set(), // Queued elements not yet sent lazy-img:queued
+	flushScheduled: false,
+};
+
+function getViewportDistance(element) {
+	const rect = element.getBoundingClientRect();
+	const dx = Math.max(0, -rect.right, rect.left - window.innerWidth);
+	const dy = Math.max(0, -rect.bottom, rect.top - window.innerHeight);
+	return Math.hypot(dx, dy);
+}
+
+function getSortedLoadQueue() {
+	return [...loadScheduler.queue]
+		.map((element) => ({
+			element,
+			priority:
+				FETCH_PRIORITIES[element.fetchPriority?.toLowerCase()] ??
+				FETCH_PRIORITIES.auto,
+			distance: getViewportDistance(element),
+		}))
+		.sort((a, b) => {
+			if (a.priority !== b.priority) {
+				return a.priority - b.priority;
+			}
+			if (a.distance !== b.distance) {
+				return a.distance - b.distance;
+			}
+			return a.element.compareDocumentPosition(b.element) &
+				Node.DOCUMENT_POSITION_FOLLOWING
+				? -1
+				: 1;
+		})
+		.map(({ element }) => element);
+}
+
+/**
+ * Asks the scheduler for permission to start fetching an image
+ * @param {LazyImgElement} element - The element about to create its <img>
+ * @param {boolean} [force=false] - Start now, even over the limit (forced
+ * and print loads can't wait)
+ * @returns {boolean} Whether it may start now (otherwise it's queued)
+ */
+function requestLoadSlot(element, force = false) {
+	const { active, queue } = loadScheduler;
+	// Natively lazy images are deferred by the browser itself
+	if (active.has(element) || element.loading === 'lazy') {
+		return true;
+	}
+	if (force) {
+		queue.delete(element);
+		loadScheduler.unannounced.delete(element);
+		active.add(element);
+		return true;
+	}
+	if (queue.size === 0 && active.size < loadScheduler.maxConcurrent) {
+		active.add(element);
+		return true;
+	}
+	if (!queue.has(element)) {
+		queue.add(element);
+		loadScheduler.unannounced.add(element);
+		scheduleLoadQueueFlush();
+	}
+	return false;
+}
+
+function releaseLoadSlot(element) {
+	loadScheduler.queue.delete(element);
+	loadScheduler.unannounced.delete(element);
+	if (loadScheduler.active.delete(element)) {
+		scheduleLoadQueueFlush();
+	}
+}
+
+// Batches the sorting (and the layout reads it takes) for every slot
+// released or load queued in the same task
+function scheduleLoadQueueFlush() {
+	if (loadScheduler.flushScheduled) {
+		return;
+	}
+	loadScheduler.flushScheduled = true;
+	queueMicrotask(flushLoadQueue);
+}
+
+function flushLoadQueue() {
+	loadScheduler.flushScheduled = false;
+	const { active, queue, unannounced } = loadScheduler;
+	const sorted = getSortedLoadQueue();
+
+	while (sorted.length && active.size < loadScheduler.maxConcurrent) {
+		const element = sorted.shift();
+		queue.delete(element);
+		unannounced.delete(element);
+		active.add(element);
+		element.render();
+	}
+
+	sorted.forEach((element, index) => {
+		if (unannounced.delete(element)) {
+			element._dispatch('queued', {
+				position: index + 1,
+				length: sorted.length,
+			});
+		}
+	});
+}
+
+function getLoadQueuePosition(element) {
+	if (!loadScheduler.queue.has(element)) {
+		return null;
+	}
+	return getSortedLoadQueue().indexOf(element) + 1;
+}
+
+// Image attributes carried over to <link> fetch hints. Only preload hints
+// can pick from a srcset
+const HINT_ATTRIBUTES = {
+	src: 'href',
+	srcset: 'imagesrcset',
+	sizes: 'imagesizes',
+	fetchpriority: 'fetchpriority',
+	crossorigin: 'crossorigin',
+	referrerpolicy: 'referrerpolicy',
+};
+const PRELOAD_ONLY_HINT_ATTRIBUTES = ['srcset', 'sizes', 'fetchpriority'];
+
+// The <link> fetch hints added by lazy-img elements, mapped to the
+// elements that share each one
+const imageHints = new Map();
+
+/**
+ * Adds a <link> fetch hint to the document head for an element, unless the
+ * image is already hinted there (by another instance or the server-rendered
+ * page)
+ * @param {HTMLElement} element - The lazy-img element
+ * @param {Object} attributes - The link's attributes
+ */
+function addImageHint(element, attributes) {
+	const hinted = Array.from(
+		document.head.querySelectorAll(
+			'link[rel="preload"], link[rel="prefetch"]',
+		),
+	).find(
+		(link) =>
+			link.getAttribute('href') === attributes.href &&
+			link.getAttribute('imagesrcset') ===
+				(attributes.imagesrcset ?? null),
+	);
+	if (hinted) {
+		// Server-rendered hints aren't ours to track
+		imageHints.get(hinted)?.add(element);
+		return;
+	}
+	const link = document.createElement('link');
+	for (const [name, value] of Object.entries(attributes)) {
+		link.setAttribute(name, value);
+	}
+	document.head.appendChild(link);
+	imageHints.set(link, new Set([element]));
+}
+
+/**
+ * Releases an element's fetch hints, removing the ones no other element
+ * still shares
+ * @param {HTMLElement} element - The lazy-img element
+ */
+function removeImageHints(element) {
+	for (const [link, elements] of imageHints) {
+		if (elements.delete(element) && elements.size === 0) {
+			link.remove();
+			imageHints.delete(link);
+		}
 	}
 }
 
@@ -73,7 +508,35 @@ const STRING_PROPERTY_REFLECTIONS = [
 	{ property: 'fetchPriority', attribute: 'fetchpriority' },
 	{ property: 'crossOrigin', attribute: 'crossorigin' },
 	{ property: 'referrerPolicy', attribute: 'referrerpolicy' },
+	{ property: 'placeholder', attribute: 'placeholder' },
+	{ property: 'fallbackSrc', attribute: 'fallback-src' },
+	{ property: 'retryCount', attribute: 'retry-count', defaultValue: '0' },
+	{ property: 'retryDelay', attribute: 'retry-delay', defaultValue: '1000' },
+	{ property: 'sources', attribute: 'sources' },
+	{ property: 'unload', attribute: 'unload' },
+	{
+		property: 'unloadDelay',
+		attribute: 'unload-delay',
+		defaultValue: '2000',
+	},
+	{
+		property: 'unloadMargin',
+		attribute: 'unload-margin',
+		defaultValue: '100%',
+	},
+	{ property: 'print', attribute: 'print' },
+	{ property: 'minEffectiveType', attribute: 'min-effective-type' },
+	{ property: 'minDeviceMemory', attribute: 'min-device-memory' },
+	{ property: 'media', attribute: 'media' },
+	{ property: 'container', attribute: 'container' },
 	{ property: 'minInlineSize', attribute: 'min-inline-size' },
+	{ property: 'maxInlineSize', attribute: 'max-inline-size' },
+	{ property: 'minBlockSize', attribute: 'min-block-size' },
+	{ property: 'maxBlockSize', attribute: 'max-block-size' },
+	{ property: 'minAspectRatio', attribute: 'min-aspect-ratio' },
+	{ property: 'maxAspectRatio', attribute: 'max-aspect-ratio' },
+	{ property: 'orientation', attribute: 'orientation' },
+	{ property: 'containerQuery', attribute: 'container-query' },
 	{ property: 'namedBreakpoints', attribute: 'named-breakpoints' },
 	{ property: 'query', attribute: 'query', defaultValue: 'container' },
 	{
@@ -81,16 +544,59 @@ const STRING_PROPERTY_REFLECTIONS = [
 		attribute: 'view-range-start',
 		defaultValue: 'entry 0%',
 	},
+	{ property: 'viewRoot', attribute: 'view-root' },
+	{ property: 'deferUntil', attribute: 'defer-until' },
+	{ property: 'trigger', attribute: 'trigger' },
+	{ property: 'intentTarget', attribute: 'intent-target' },
+	{ property: 'sizeHint', attribute: 'size-hint' },
+	{
+		property: 'prefetchMargin',
+		attribute: 'prefetch-margin',
+		defaultValue: '100%',
+	},
 ];
 
 const BOOLEAN_PROPERTY_REFLECTIONS = [
+	{ property: 'skipOnSaveData', attribute: 'skip-on-save-data' },
+	{ property: 'swapOnChange', attribute: 'swap-on-change' },
+	{ property: 'preload', attribute: 'preload' },
 	{ property: 'loaded', attribute: 'loaded', readOnly: true },
+	{ property: 'errored', attribute: 'errored', readOnly: true },
 	{ property: 'qualifies', attribute: 'qualifies', readOnly: true },
 ];
 
-const REFLECTED_PROPERTY_NAMES = STRING_PROPERTY_REFLECTIONS.filter(
-	({ readOnly }) => !readOnly,
-).map(({ property }) => property);
+// Image lifecycle states, exposed as custom states (:state(loading), etc.)
+// The in-flight state can't be reflected as a `loading` attribute because
+// that name is already passed through to the inner <img>
+const LOAD_STATES = ['queued', 'loading', 'loaded', 'errored'];
+
+const DEFAULT_RETRY_DELAY = 1000; // milliseconds
+const DEFAULT_UNLOAD_DELAY = 2000; // milliseconds
+
+// Size conditions, compared against the container (or viewport)
+// measurements and ignored in view mode
+const SIZE_CONDITION_ATTRIBUTES = [
+	'min-inline-size',
+	'max-inline-size',
+	'min-block-size',
+	'max-block-size',
+	'min-aspect-ratio',
+	'max-aspect-ratio',
+	'orientation',
+	'container-query',
+];
+const ORIENTATIONS = ['portrait', 'landscape'];
+
+// Network Information API effective types, slowest first
+const EFFECTIVE_TYPES = ['slow-2g', '2g', '3g', '4g'];
+const REDUCED_DATA_QUERY = '(prefers-reduced-data: reduce)';
+
+const REFLECTED_PROPERTY_NAMES = [
+	...STRING_PROPERTY_REFLECTIONS,
+	...BOOLEAN_PROPERTY_REFLECTIONS,
+]
+	.filter(({ readOnly }) => !readOnly)
+	.map(({ property }) => property);
 
 function definePropertyReflections(elementClass) {
 	const prototype = elementClass.prototype;
@@ -149,15 +655,117 @@ function definePropertyReflections(elementClass) {
 	}
 }
 
+// Query types: a size query, optionally combined with the view and idle
+// triggers
+const SIZE_QUERY_TYPES = ['container', 'media'];
+const VIEW_QUERY_TYPE = 'view';
+const IDLE_QUERY_TYPE = 'idle';
+const TRIGGER_QUERY_TYPES = [VIEW_QUERY_TYPE, IDLE_QUERY_TYPE];
+
+/**
+ * Parses the query attribute: "container", "media", "view", "idle", or a
+ * combination (e.g., "container view"), in which case every selected
+ * condition has to hold
+ * @param {string|null} value - The query attribute value
+ * @returns {Object} { size: "container", "media", or null, view, idle }
+ */
+function parseQuery(value) {
+	const types = (value?.trim() || 'container').split(/\s+/);
+	const sizes = types.filter((type) => SIZE_QUERY_TYPES.includes(type));
+	const view = types.includes(VIEW_QUERY_TYPE);
+	const idle = types.includes(IDLE_QUERY_TYPE);
+	if (
+		sizes.length > 1 ||
+		types.some(
+			(type) =>
+				!TRIGGER_QUERY_TYPES.includes(type) &&
+				!SIZE_QUERY_TYPES.includes(type),
+		)
+	) {
+		console.warn(
+			`lazy-img: invalid query "${value}", expected "container", "media", "view", or "idle", optionally combined as in "container view"`,
+		);
+	}
+	return {
+		size: sizes[0] ?? (view || idle ? null : 'container'),
+		view,
+		idle,
+	};
+}
+
+// User interactions that can gate loading: a "Load image" button in the
+// shadow root, or hovering or focusing an ancestor link
+const TRIGGERS = ['click', 'intent'];
+const INTENT_EVENTS = ['pointerenter', 'focusin'];
+const DEFAULT_INTENT_TARGET = 'a[href]';
+
+/**
+ * Parses the trigger attribute
+ * @param {string|null} value - The attribute value
+ * @returns {string|null} "click", "intent", or null
+ */
+function parseTrigger(value) {
+	const trigger = value?.trim();
+	if (!trigger) {
+		return null;
+	}
+	if (!TRIGGERS.includes(trigger)) {
+		console.warn(
+			`lazy-img: invalid trigger "${value}", expected "click" or "intent"`,
+		);
+		return null;
+	}
+	return trigger;
+}
+
+// view-range-start range names, from the view-timeline vocabulary
+const VIEW_RANGE_NAMES = [
+	'cover',
+	'contain',
+	'entry',
+	'exit',
+	'entry-crossing',
+];
+
+/**
+ * Converts a view-range-start length offset to pixels
+ * @param {number} value
+ * @param {string} unit - "px", "vh", "vw", or "rem"
+ * @returns {number}
+ */
+function toPixels(value, unit) {
+	switch (unit) {
+		case 'vh':
+			return (value * window.innerHeight) / 100;
+		case 'vw':
+			return (value * window.innerWidth) / 100;
+		case 'rem': {
+			const { fontSize } = getComputedStyle(document.documentElement);
+			return value * (parseFloat(fontSize) || 16);
+		}
+		default:
+			return value;
+	}
+}
+
 /**
  * Parses view-range-start attribute value into IntersectionObserver options
- * Supports:
- * - "entry X%" → threshold (e.g., "entry 25%" = 25% visible)
- * - "entry -Xpx" → rootMargin (e.g., "entry -200px" = load 200px before entering)
+ * Supports "<range> <offset>", where range is one of:
+ * - "entry" / "entry-crossing" → a percentage is a threshold (e.g.,
+ *   "entry 25%" = 25% visible); a length moves the scrollport's end edge
+ *   (e.g., "entry -200px" = load 200px before entering)
+ * - "cover" → the element's leading edge has crossed the given share of the
+ *   scrollport (e.g., "cover 50%" = halfway up), or a length past its end edge
+ * - "contain" → like cover, once the element is fully visible
+ * - "exit" → the leading edge is the given percentage of the scrollport past
+ *   its start edge
+ * Offsets can be px, %, vh, vw, or rem. Margins apply along the scroll axis:
+ * the end edge is the bottom, or the inline end for horizontal scrollers
  * @param {string} rangeValue - The view-range-start attribute value
+ * @param {Object} [axis] - { horizontal, rtl } for the scroll container
  * @returns {Object} Object with { rootMargin, threshold }
  */
-function parseViewRange(rangeValue) {
+function parseViewRange(rangeValue, axis = {}) {
 	const defaults = { rootMargin: '0px', threshold: 0 };
 
 	if (!rangeValue) {
@@ -165,68 +773,179 @@ function parseViewRange(rangeValue) {
 	}
 
 	const trimmed = rangeValue.trim();
+	const match = trimmed.match(
+		/^([a-z-]+)(?:\s+(-?\d*\.?\d+)(px|%|vh|vw|rem)?)?$/,
+	);
+	const [, name, number = '0', unit] = match || [];
+	const value = parseFloat(number);
+	// Only a zero offset may leave out its unit
+	if (!VIEW_RANGE_NAMES.includes(name) || (!unit && value !== 0)) {
+		console.warn(
+			`lazy-img: invalid view-range-start format "${rangeValue}", expected "<range> <offset>" with a range of ${VIEW_RANGE_NAMES.join(', ')} (e.g., "entry 25%" or "cover -200px")`,
+		);
+		return defaults;
+	}
 
-	// Match "entry X%" pattern for threshold
-	const percentMatch = trimmed.match(/^entry\s+(-?\d+(?:\.\d+)?)%$/);
-	if (percentMatch) {
-		const percent = parseFloat(percentMatch[1]);
-		if (percent >= 0 && percent <= 100) {
-			return { rootMargin: '0px', threshold: percent / 100 };
-		}
+	const isPercent = !unit || unit === '%';
+	if (isPercent && (value < 0 || value > 100)) {
 		console.warn(
-			`lazy-img: view-range-start percentage must be between 0 and 100, got ${percent}%`,
+			`lazy-img: view-range-start percentage must be between 0 and 100, got ${value}%`,
 		);
 		return defaults;
 	}
 
-	// Match "entry -Xpx" pattern for rootMargin (preload)
-	const pxMatch = trimmed.match(/^entry\s+(-\d+)px$/);
-	if (pxMatch) {
-		const pixels = parseInt(pxMatch[1], 10);
-		// Negative value means preload (expand bottom margin)
-		return {
-			rootMargin: `0px 0px ${Math.abs(pixels)}px 0px`,
-			threshold: 0,
-		};
+	// Where the element has to be, as margins on the scrollport's start
+	// and end edges (negative margins shrink it) plus a threshold
+	let start = 0;
+	let end = 0;
+	const marginUnit = isPercent ? '%' : 'px';
+	let threshold = 0;
+	if (name === 'exit') {
+		if (!isPercent) {
+			console.warn(
+				`lazy-img: view-range-start "exit" offsets must be percentages, got "${trimmed}"`,
+			);
+			return defaults;
+		}
+		// Collapse the scrollport to a line past its start edge
+		start = value;
+		end = -(100 + value);
+	} else if (isPercent && name.startsWith('entry')) {
+		threshold = value / 100;
+	} else {
+		end = isPercent ? -value : -toPixels(value, unit);
+		threshold = name === 'contain' ? 1 : 0;
 	}
 
-	console.warn(
-		`lazy-img: invalid view-range-start format "${rangeValue}", expected "entry X%" or "entry -Xpx"`,
-	);
-	return defaults;
+	if (start === 0 && end === 0) {
+		return { rootMargin: '0px', threshold };
+	}
+	const format = (margin) =>
+		margin === 0 ? '0px' : `${margin}${marginUnit}`;
+	start = format(start);
+	end = format(end);
+
+	// rootMargin order: top, right, bottom, left
+	let margins;
+	if (!axis.horizontal) {
+		margins = [start, '0px', end, '0px'];
+	} else if (axis.rtl) {
+		margins = ['0px', start, '0px', end];
+	} else {
+		margins = ['0px', end, '0px', start];
+	}
+	return { rootMargin: margins.join(' '), threshold };
+}
+
+/**
+ * The scroll axis of a view-root: horizontal when it only scrolls inline,
+ * as a carousel does. The viewport is treated as scrolling vertically
+ * @param {Element|null} root - The scroll container, or null for the viewport
+ * @returns {Object} { horizontal, rtl }
+ */
+function getScrollAxis(root) {
+	if (!root) {
+		return { horizontal: false, rtl: false };
+	}
+	const style = getComputedStyle(root);
+	const scrolls = (overflow) => overflow === 'auto' || overflow === 'scroll';
+	return {
+		horizontal: scrolls(style.overflowX) && !scrolls(style.overflowY),
+		rtl: style.direction === 'rtl',
+	};
+}
+
+/**
+ * Parses the sources attribute into size tiers
+ * Supports comma-separated "<min-inline-size>: <url>" pairs, e.g.
+ * "320: small.jpg, 768: medium.jpg, 1200: large.jpg". Commas inside URLs
+ * are kept as long as they aren't followed by another "<number>:" pair
+ * @param {string} value - The sources attribute value
+ * @returns {Array<Object>|null} Tiers as { minSize, src }, smallest first
+ */
+function parseSourceTiers(value) {
+	if (!value || !value.trim()) {
+		return null;
+	}
+
+	const tiers = [];
+	for (const entry of value.trim().split(/,\s*(?=\d+(?:px)?\s*:)/)) {
+		const match = entry.trim().match(/^(\d+)(?:px)?\s*:\s*(\S.*)$/);
+		if (match) {
+			tiers.push({
+				minSize: parseInt(match[1], 10),
+				src: match[2].trim(),
+			});
+		} else {
+			console.warn(
+				`lazy-img: invalid sources entry "${entry.trim()}", expected "<min-inline-size>: <url>"`,
+			);
+		}
+	}
+
+	if (!tiers.length) {
+		return null;
+	}
+	return tiers.sort((a, b) => a.minSize - b.minSize);
+}
+
+/**
+ * Parses an aspect ratio written as "16/9", "16 / 9", or "1.5"
+ * @param {string} value - The ratio
+ * @returns {number} Width divided by height, or NaN if invalid
+ */
+function parseAspectRatio(value) {
+	const match = value.trim().match(/^(\d*\.?\d+)(?:\s*\/\s*(\d*\.?\d+))?$/);
+	if (!match) {
+		return NaN;
+	}
+	const ratio = parseFloat(match[1]) / parseFloat(match[2] ?? '1');
+	return isFinite(ratio) ? ratio : NaN;
 }
 
+// Identifies each IntersectionObserver root in the shared observer keys
+const intersectionRootIds = new WeakMap();
+let nextIntersectionRootId = 1;
+
 /**
  * Gets a config key for shared IntersectionObserver lookup
- * @param {string} rootMargin
- * @param {number} threshold
+ * @param {Object} config - { root, rootMargin, threshold }
  * @returns {string} Unique key for this configuration
  */
-function getIntersectionObserverKey(rootMargin, threshold) {
-	return `${rootMargin}|${threshold}`;
+function getIntersectionObserverKey({ root = null, rootMargin, threshold }) {
+	let rootId = 'viewport';
+	if (root) {
+		if (!intersectionRootIds.has(root)) {
+			intersectionRootIds.set(root, nextIntersectionRootId++);
+		}
+		rootId = intersectionRootIds.get(root);
+	}
+	return `${rootId}|${rootMargin}|${threshold}`;
 }
 
 /**
  * Gets or creates a shared IntersectionObserver for a configuration
- * @param {string} rootMargin
- * @param {number} threshold
+ * @param {Object} config - { root, rootMargin, threshold }
  * @returns {Object} Object with observer and callbacks Set
  */
-function getSharedIntersectionObserver(rootMargin, threshold) {
-	const key = getIntersectionObserverKey(rootMargin, threshold);
+function getSharedIntersectionObserver(config) {
+	const { root = null, rootMargin, threshold } = config;
+	const key = getIntersectionObserverKey(config);
 
 	if (!sharedIntersectionObservers.has(key)) {
-		const callbacks = new Set();
+		// Callbacks are keyed by target so each entry only reaches the
+		// element it describes
+		const callbacks = new Map();
 		const observer = new IntersectionObserver(
 			(entries) => {
 				entries.forEach((entry) => {
-					if (entry.isIntersecting) {
-						// Call all registered callbacks for this observer
-						callbacks.forEach((callback) => callback(entry));
+					const targetCallbacks = callbacks.get(entry.target);
+					if (targetCallbacks) {
+						targetCallbacks.forEach((callback) => callback(entry));
 					}
 				});
 			},
-			{ rootMargin, threshold },
+			{ root, rootMargin, threshold },
 		);
 		sharedIntersectionObservers.set(key, { observer, callbacks });
 	}
@@ -234,25 +953,41 @@ function getSharedIntersectionObserver(rootMargin, threshold) {
 	return sharedIntersectionObservers.get(key);
 }
 
+/**
+ * Registers a callback for a target with a shared IntersectionObserver.
+ * The callback receives every entry for that target, intersecting or not
+ * @param {Object} config - { root, rootMargin, threshold }
+ * @param {Element} target - The element to observe
+ * @param {Function} callback - Called with each IntersectionObserverEntry
+ */
+function addSharedIntersectionObserver(config, target, callback) {
+	const shared = getSharedIntersectionObserver(config);
+	let targetCallbacks = shared.callbacks.get(target);
+	if (!targetCallbacks) {
+		targetCallbacks = new Set();
+		shared.callbacks.set(target, targetCallbacks);
+		shared.observer.observe(target);
+	}
+	targetCallbacks.add(callback);
+}
+
 /**
  * Removes a callback from a shared IntersectionObserver
- * @param {string} rootMargin
- * @param {number} threshold
+ * @param {Object} config - { root, rootMargin, threshold }
  * @param {Element} target - The observed element
  * @param {Function} callback - The callback to remove
  */
-function removeSharedIntersectionObserver(
-	rootMargin,
-	threshold,
-	target,
-	callback,
-) {
-	const key = getIntersectionObserverKey(rootMargin, threshold);
+function removeSharedIntersectionObserver(config, target, callback) {
+	const key = getIntersectionObserverKey(config);
 	const shared = sharedIntersectionObservers.get(key);
+	const targetCallbacks = shared?.callbacks.get(target);
 
-	if (shared) {
-		shared.callbacks.delete(callback);
-		shared.observer.unobserve(target);
+	if (targetCallbacks) {
+		targetCallbacks.delete(callback);
+		if (targetCallbacks.size === 0) {
+			shared.callbacks.delete(target);
+			shared.observer.unobserve(target);
+		}
 
 		// Clean up if no more callbacks
 		if (shared.callbacks.size === 0) {
@@ -262,7 +997,112 @@ function removeSharedIntersectionObserver(
 	}
 }
 
-export class LazyImgElement extends HTMLElement {
+// Lets the module be imported outside the browser (e.g., by ssr.js in
+// Node), where HTMLElement doesn't exist
+const HTMLElementBase = globalThis.HTMLElement ?? class {};
+
+const HTML_ESCAPES = {
+	'&': '&amp;',
+	'<': '&lt;',
+	'>': '&gt;',
+};
+
+export class LazyImgElement extends HTMLElementBase {
+	// Shadow root styles, shared with the server renderer (see ssr.js)
+	static STYLES = `
+		:host {
+			display: var(--lazy-img-display, block);
+		}
+		:host([hidden]) {
+			display: none;
+		}
+		img {
+			max-width: 100%;
+			height: auto;
+		}
+		.reserved {
+			display: block;
+			max-inline-size: 100%;
+		}
+		:host([placeholder]) {
+			position: relative;
+		}
+		.placeholder {
+			display: block;
+			inline-size: 100%;
+			background-position: center;
+			background-repeat: no-repeat;
+			background-size: cover;
+			transition: opacity var(--lazy-img-fade-duration, 300ms) ease;
+		}
+		.placeholder ~ img,
+		.placeholder ~ picture img {
+			position: absolute;
+			inset: 0;
+			inline-size: 100%;
+			block-size: 100%;
+			object-fit: cover;
+			opacity: 0;
+			transition: opacity var(--lazy-img-fade-duration, 300ms) ease;
+		}
+		:host([loaded]) .placeholder {
+			position: absolute;
+			inset: 0;
+			block-size: 100%;
+			opacity: 0;
+		}
+		:host([loaded]) .placeholder ~ img,
+		:host([loaded]) .placeholder ~ picture img {
+			position: static;
+			inline-size: auto;
+			block-size: auto;
+			opacity: 1;
+		}
+		.trigger {
+			display: flex;
+			flex-direction: column;
+			align-items: center;
+			justify-content: center;
+			gap: 0.25em;
+			box-sizing: border-box;
+			inline-size: 100%;
+			min-block-size: 8em;
+			padding: 1em;
+			font: inherit;
+			cursor: pointer;
+		}
+		.placeholder ~ .trigger {
+			position: absolute;
+			inset: 0;
+			min-block-size: 0;
+			border: 0;
+			background: rgb(0 0 0 / 0.45);
+			color: #fff;
+		}
+		.trigger-size {
+			font-size: 0.875em;
+		}
+		.trigger [hidden] {
+			display: none;
+		}
+		.breakpoint-watcher {
+			position: absolute;
+			inline-size: 0;
+			block-size: 0;
+			overflow: hidden;
+			visibility: hidden;
+			/* Fires transitionrun whenever --lazy-img-mq changes */
+			transition: --lazy-img-mq 1ms step-start allow-discrete;
+		}
+		@media (prefers-reduced-motion: reduce) {
+			.placeholder,
+			.placeholder ~ img,
+			.placeholder ~ picture img {
+				transition: none;
+			}
+		}
+	`;
+
 	// Attributes that get passed through to the inner <img> element
 	static IMG_ATTRIBUTES = [
 		'src',
@@ -278,34 +1118,117 @@ export class LazyImgElement extends HTMLElement {
 		'referrerpolicy',
 	];
 
+	// Attributes copied from light DOM <source> children into the <picture>
+	static PICTURE_SOURCE_ATTRIBUTES = [
+		'media',
+		'type',
+		'srcset',
+		'sizes',
+		'width',
+		'height',
+	];
+
 	// Source attributes that shouldn't change after image is loaded
 	static SOURCE_ATTRIBUTES = ['src', 'srcset', 'sizes'];
 
 	// Attributes that control the lazy-img behavior
 	static CONFIG_ATTRIBUTES = [
-		'min-inline-size',
+		'media',
+		'container',
+		'skip-on-save-data',
+		'min-effective-type',
+		'min-device-memory',
+		'sources',
+		'unload',
+		'unload-delay',
+		'unload-margin',
+		...SIZE_CONDITION_ATTRIBUTES,
 		'named-breakpoints',
 		'query',
 		'view-range-start',
+		'view-root',
+		'defer-until',
+		'trigger',
+		'intent-target',
+	];
+
+	// Config attributes that depend on the network or device
+	static NETWORK_ATTRIBUTES = [
+		'skip-on-save-data',
+		'min-effective-type',
+		'min-device-memory',
 	];
 
+	// Attributes that only affect what is shown before the image loads
+	static DISPLAY_ATTRIBUTES = ['placeholder', 'size-hint'];
+
 	static get observedAttributes() {
 		return [
 			...LazyImgElement.IMG_ATTRIBUTES,
 			...LazyImgElement.CONFIG_ATTRIBUTES,
+			...LazyImgElement.DISPLAY_ATTRIBUTES,
 		];
 	}
 
-	static getActiveMQ() {
-		return getComputedStyle(document.documentElement)
-			.getPropertyValue('--lazy-img-mq')
-			.trim();
+	/**
+	 * Force-loads every pending image (except those with print="skip"), as
+	 * happens automatically before printing. Call this before window.print()
+	 * to wait until the print preview will be complete.
+	 * @returns {Promise<void>} Resolves once the images have decoded
+	 */
+	static prepareForPrint() {
+		return loadElementsForPrint().then(() => {});
+	}
+
+	/**
+	 * Releases the elements with `defer-until="<name>"` once a promise
+	 * resolves (e.g., after hydration or once consent is granted). If it
+	 * rejects, they stay deferred. A document event with the same name
+	 * releases them too.
+	 * @param {string} name - The defer-until name
+	 * @param {Promise<*>} promise - Resolves when the images may load
+	 * @returns {Promise<void>} Resolves once the elements are released
+	 */
+	static defer(name, promise) {
+		return Promise.resolve(promise).then(
+			() => releaseDeferral(name),
+			() => {},
+		);
+	}
+
+	/**
+	 * Maximum number of inner images fetching at once across every
+	 * instance (default: 6). Set to Infinity to remove the limit.
+	 * @type {number}
+	 */
+	static get maxConcurrentLoads() {
+		return loadScheduler.maxConcurrent;
+	}
+
+	static set maxConcurrentLoads(value) {
+		const max = Number(value);
+		if (isNaN(max) || max < 1) {
+			console.warn(
+				'lazy-img: maxConcurrentLoads must be a number of at least 1',
+			);
+			return;
+		}
+		loadScheduler.maxConcurrent = max;
+		scheduleLoadQueueFlush();
+	}
+
+	/**
+	 * The --lazy-img-mq value in effect at an element, shared with every
+	 * other lookup from the same element until the next frame
+	 * @param {Element} [source=document.documentElement] - Where to read it
+	 * @returns {string}
+	 */
+	static getActiveMQ(source = document.documentElement) {
+		return readActiveMQ(source);
 	}
 
 	static escapeHtml(text) {
-		const div = document.createElement('div');
-		div.textContent = text;
-		return div.innerHTML;
+		return String(text).replace(/[&<>]/g, (char) => HTML_ESCAPES[char]);
 	}
 
 	/**
@@ -346,71 +1269,337 @@ export class LazyImgElement extends HTMLElement {
 	/**
 	 * Converts attribute object to HTML attribute string
 	 * @param {Object} attrs - Attribute key-value pairs
-	 * @returns {string} HTML attribute string
+	 * @returns {string} HTML attribute string with escaped values
 	 */
 	static _buildAttributeString(attrs) {
 		return Object.entries(attrs)
-			.map(([key, value]) => `${key}="${value}"`)
+			.map(
+				([key, value]) =>
+					`${key}="${LazyImgElement.escapeHtml(value).replace(/"/g, '&quot;')}"`,
+			)
 			.join(' ');
 	}
 
 	/**
-	 * Gathers all img-specific attributes from the host element
-	 * @returns {Object} Object with attribute names as keys and escaped values
+	 * Maps image attributes to the attributes of a <link> fetch hint
+	 * @param {string} rel - "preload" or "prefetch"
+	 * @param {Object} imgAttrs - Image attribute name-value pairs
+	 * @returns {Object} Link attribute name-value pairs
 	 */
-	_getImgAttributes() {
-		const attrs = {};
-		for (const attr of LazyImgElement.IMG_ATTRIBUTES) {
-			const value = this.getAttribute(attr);
-			if (value !== null) {
-				attrs[attr] = LazyImgElement.escapeHtml(value);
-			} else if (attr === 'alt') {
-				// Always include alt attribute for accessibility, default to empty string
-				attrs.alt = '';
+	static _getHintAttributes(rel, imgAttrs) {
+		const attrs = { rel, as: 'image' };
+		for (const [attr, hintAttr] of Object.entries(HINT_ATTRIBUTES)) {
+			if (
+				imgAttrs[attr] !== undefined &&
+				(rel === 'preload' ||
+					!PRELOAD_ONLY_HINT_ATTRIBUTES.includes(attr))
+			) {
+				attrs[hintAttr] = imgAttrs[attr];
 			}
 		}
 		return attrs;
 	}
 
-	constructor() {
-		super();
-		this.attachShadow({ mode: 'open' });
-		this._internals =
-			typeof this.attachInternals === 'function'
-				? this.attachInternals()
-				: null;
-		this._loaded = false;
-		this._resizeObserver = null;
-		this._throttleTimeout = null;
-		this._throttleDelay = 150; // milliseconds
-		this._namedBreakpoints = null;
-		this._minInlineSize = null;
-		this._queryType = 'container'; // Cache query type
-		this._parsedBreakpoints = null; // Cache parsed breakpoint array
-		this._styleInjected = false; // Track if CSS has been injected
+	/**
+	 * Whether a set of attributes asks for anything to happen before the
+	 * image may load. Without conditions the image renders straight away
+	 * @param {Function} getAttribute - Returns an attribute's value, or null
+	 * @returns {boolean}
+	 */
+	static _attributesHaveLoadConditions(getAttribute) {
+		return (
+			Boolean(
+				getAttribute('query')
+					?.trim()
+					.split(/\s+/)
+					.some((type) => TRIGGER_QUERY_TYPES.includes(type)),
+			) ||
+			Boolean(getAttribute('defer-until')?.trim()) ||
+			TRIGGERS.includes(getAttribute('trigger')?.trim()) ||
+			getAttribute('unload') === 'offscreen' ||
+			Boolean(getAttribute('media')?.trim()) ||
+			LazyImgElement.NETWORK_ATTRIBUTES.some(
+				(attr) => getAttribute(attr) !== null,
+			) ||
+			[...SIZE_CONDITION_ATTRIBUTES, 'named-breakpoints', 'sources'].some(
+				(attr) => Boolean(getAttribute(attr)),
+			)
+		);
+	}
+
+	/**
+	 * The URL the inner image should load: the fallback after failures,
+	 * the active tier when `sources` is set, otherwise `src`
+	 * @param {number|null} [tier] - The tier to use instead of the active one
+	 * @returns {string|null}
+	 */
+	_getSourceUrl(tier = this._activeTier) {
+		if (this._usingFallback) {
+			return this.getAttribute('fallback-src');
+		}
+		if (this._sourceTiers && tier !== null) {
+			return this._sourceTiers[tier].src;
+		}
+		return this._getImageAttribute('src');
+	}
+
+	_hasSource() {
+		return Boolean(this._getImageAttribute('src') || this._sourceTiers);
+	}
+
+	/**
+	 * An image attribute from the host, falling back to the light DOM image
+	 * @param {string} name - The attribute name
+	 * @returns {string|null}
+	 */
+	_getImageAttribute(name) {
+		const value = this.getAttribute(name);
+		if (value !== null) {
+			return value;
+		}
+		if (!this._lightImageAttributes) {
+			this._lightImageAttributes = this._readLightImageAttributes();
+		}
+		return this._lightImageAttributes[name] ?? null;
+	}
+
+	/**
+	 * Reads the attributes of a light DOM <img>, or one inside <noscript>:
+	 * the markup shown when JavaScript (or custom element support) is
+	 * missing. A plain child <img> may keep its sources in data-src,
+	 * data-srcset, and data-sizes so the browser doesn't fetch them
+	 * @returns {Object} Attribute names and values
+	 */
+	_readLightImageAttributes() {
+		let img = null;
+		let deferred = false;
+		for (const child of this.children) {
+			if (child.localName === 'img') {
+				img = child;
+				deferred = true;
+				break;
+			}
+			if (child.localName === 'noscript') {
+				// With scripting on, <noscript> content is parsed as text
+				img = child.querySelector('img');
+				if (!img) {
+					const template = document.createElement('template');
+					template.innerHTML = child.textContent;
+					img = template.content.querySelector('img');
+				}
+				if (img) {
+					break;
+				}
+			}
+		}
+
+		const attrs = {};
+		if (!img) {
+			return attrs;
+		}
+		for (const attr of LazyImgElement.IMG_ATTRIBUTES) {
+			const dataValue =
+				deferred && LazyImgElement.SOURCE_ATTRIBUTES.includes(attr)
+					? img.getAttribute(`data-${attr}`)
+					: null;
+			const value = dataValue ?? img.getAttribute(attr);
+			if (value !== null) {
+				attrs[attr] = value;
+			}
+		}
+		return attrs;
+	}
+
+	/**
+	 * Whether anything has to happen before the image may load. Without
+	 * conditions the image renders straight away
+	 * @returns {boolean}
+	 */
+	_hasLoadConditions() {
+		return LazyImgElement._attributesHaveLoadConditions((name) =>
+			this.getAttribute(name),
+		);
+	}
 
-		// Create style element once but don't inject until needed
-		this._styleElement = document.createElement('style');
-		this._styleElement.textContent = `
-			:host {
-				display: var(--lazy-img-display, block);
+	/**
+	 * Finds the largest tier whose threshold fits the current size, falling
+	 * back to the smallest tier when none fits
+	 * @returns {number} Index into the parsed tiers
+	 */
+	_matchSourceTier() {
+		// View mode has no size watcher, so measure the container on demand
+		const size =
+			this._currentSize ??
+			this._resolveContainer().getBoundingClientRect().width;
+		let match = 0;
+		this._sourceTiers.forEach((tier, index) => {
+			if (size >= tier.minSize) {
+				match = index;
 			}
-			:host([hidden]) {
-				display: none;
+		});
+		return match;
+	}
+
+	/**
+	 * Swaps in a bigger tier once the container has grown past its
+	 * threshold. A loaded tier stays on screen while the bigger one is
+	 * preloaded and decoded, and remains if that fails, until the next
+	 * resize tries again. Tiers never downgrade
+	 */
+	_upgradeSourceTier() {
+		if (!this._sourceTiers || this._activeTier === null) {
+			return;
+		}
+		const tier = this._matchSourceTier();
+		// A tier already on its way counts as the current one
+		const currentTier =
+			this._tierSwap?.swap === this._sourceSwap
+				? this._tierSwap.tier
+				: this._activeTier;
+		if (tier <= currentTier) {
+			return;
+		}
+
+		const img = this.shadowRoot.querySelector('img');
+		// Nothing is on screen yet to keep (or it is the fallback)
+		if (!img || this._loadState !== 'loaded' || this._usingFallback) {
+			this._activeTier = tier;
+			this._resetRetries();
+			this.render();
+			return;
+		}
+
+		const swap = this._preloadAndSwap(
+			img,
+			this._getImgAttributes(tier),
+			() => {
+				this._activeTier = tier;
+				this._tierSwap = null;
+				this._resetRetries();
+				// It's still the same image, so it doesn't announce itself again
+				this._quietLoad = true;
+			},
+			() => {
+				this._tierSwap = null;
+			},
+		);
+		this._tierSwap = { tier, swap };
+	}
+
+	/**
+	 * Gathers all img-specific attributes from the host element
+	 * @param {number|null} [tier] - The tier to use instead of the active one
+	 * @returns {Object} Object with attribute names as keys and raw values,
+	 *   escaped only when serialized (see _buildAttributeString)
+	 */
+	_getImgAttributes(tier = this._activeTier) {
+		const attrs = {};
+		for (const attr of LazyImgElement.IMG_ATTRIBUTES) {
+			// The fallback replaces the whole source set, not just src
+			if (
+				this._usingFallback &&
+				(attr === 'srcset' || attr === 'sizes')
+			) {
+				continue;
 			}
-			img {
-				max-width: 100%;
-				height: auto;
+			const value =
+				attr === 'src'
+					? this._getSourceUrl(tier)
+					: this._getImageAttribute(attr);
+			if (value !== null) {
+				attrs[attr] = value;
+			} else if (attr === 'alt') {
+				// Always include alt attribute for accessibility, default to empty string
+				attrs.alt = '';
 			}
-		`;
+		}
+		return attrs;
+	}
+
+	constructor() {
+		super();
+		this._internals =
+			typeof this.attachInternals === 'function'
+				? this.attachInternals()
+				: null;
+		// Adopt a declarative shadow root rendered on the server (see ssr.js)
+		// rather than replacing it
+		this._serverRendered = Boolean(this.shadowRoot);
+		if (!this._serverRendered) {
+			this.attachShadow({ mode: 'open' });
+		}
+		this._loaded = false;
+		this._loadState = 'idle';
+		this._forcedLoad = false; // Skip the load queue (see load())
+		this._retryAttempt = 0;
+		this._retryTimeout = null;
+		this._retryOnline = null;
+		this._usingFallback = false;
+		this._resizeObserver = null;
+		this._throttleTimeout = null;
+		this._throttleDelay = 150; // milliseconds
+		this._namedBreakpoints = null;
+		this._minInlineSize = null;
+		this._sourceTiers = null; // Cache parsed sources tiers
+		this._containerQuery = null; // Cache parsed container-query
+		this._activeTier = null; // Index of the tier currently loaded
+		this._query = { size: 'container', view: false, idle: false }; // Cache parsed query
+		this._idleReached = false; // Set by the shared idle scheduler
+		this._deferral = null; // The defer-until gate this element waits on
+		this._trigger = null; // Cache parsed trigger
+		this._triggered = false; // Set once the trigger button or intent fires
+		this._intentTarget = null;
+		this._intentCallback = null;
+		this._approachCallback = null; // Prefetches view mode images as they near
+		this._approachConfig = null;
+		this._viewResizeCallback = null; // Re-observes view mode after a resize
+		this._viewResizeTimeout = null;
+		this._sourceChangeScheduled = false;
+		this._sourceSwap = 0; // Bumped for each preload-then-swap
+		this._tierSwap = null; // The { tier, swap } being preloaded
+		this._quietLoad = false; // Skip lazy-img:loaded for a swapped-in tier
+		this._parsedBreakpoints = null; // Cache parsed breakpoint array
+		this._styleInjected = false; // Track if CSS has been injected
+		this._placeholder = null; // Cache decoded placeholder by attribute value
+		this._sourcesKey = null; // Serialized <source> children in the <picture>
+		this._sourceObserver = null;
+		this._offscreen = false; // Set by the unload="offscreen" watcher
+		this._unloadTimeout = null;
+		this._reservedSize = null; // Size held open while unloaded
+		this._inView = false; // Last intersection state in view mode
+		this._networkCallback = null;
+		this._mediaQueryList = null;
+		this._mediaCallback = null;
+		this._breakpointCallback = null;
+		this._breakpointWatcher = null; // Shadow element reporting --lazy-img-mq changes
+		this._watching = false; // Whether the watchers below are set up
+		this._ready = null; // Deferred behind the `ready` promise
+		this._lightImageAttributes = null; // Cache of the light DOM image's attributes
+		this._handleImageLoad = this._handleImageLoad.bind(this);
+		this._handleImageError = this._handleImageError.bind(this);
+
+		// Create style element once but don't inject until needed, unless
+		// it arrived with a server-rendered shadow root
+		const renderedStyle = this.shadowRoot.querySelector('style');
+		this._styleElement = renderedStyle || document.createElement('style');
+		if (renderedStyle) {
+			this._styleInjected = true;
+		} else {
+			this._styleElement.textContent = LazyImgElement.STYLES;
+		}
 	}
 
 	connectedCallback() {
 		this._upgradeReflectedProperties();
+		// Children may have changed while disconnected
+		this._lightImageAttributes = null;
 		// Initialize cached attribute values
 		this._namedBreakpoints = this.namedBreakpoints;
 		this._minInlineSize = this.minInlineSize;
-		this._queryType = this.query;
+		this._query = parseQuery(this.query);
+		this._sourceTiers = parseSourceTiers(this.sources);
+		this._containerQuery = parseContainerQuery(this.containerQuery);
+		this._trigger = parseTrigger(this.trigger);
 
 		// Parse and cache breakpoints array to avoid repeated splitting
 		if (this._namedBreakpoints) {
@@ -419,176 +1608,1583 @@ export class LazyImgElement extends HTMLElement {
 				.map((bp) => bp.trim());
 		}
 
-		this.render();
-		this._setupResizeWatcher();
+		if (this._serverRendered) {
+			this._serverRendered = false;
+			this._adoptRenderedImage();
+		}
+
+		this.render();
+		// The unload watcher goes first so offscreen images don't load
+		// before it reports
+		this._setupUnloadWatcher();
+		this._setupResizeWatcher();
+		this._setupNetworkWatcher();
+		this._setupMediaWatcher();
+		this._setupBreakpointWatcher();
+		this._setupDeferralWatcher();
+		this._setupIntentWatcher();
+		this._watching = true;
+		// Qualifying as it connects: with `preload`, hint the fetch from the
+		// document head too, so it isn't held up in the load queue
+		if (this._loaded || !this._hasLoadConditions()) {
+			this._addImageHint('preload');
+		}
+		this._observeSourceElements();
+		addPrintElement(this);
+	}
+
+	disconnectedCallback() {
+		this._watching = false;
+		this._cleanupResizeWatcher();
+		this._cleanupUnloadWatcher();
+		this._cleanupNetworkWatcher();
+		this._cleanupMediaWatcher();
+		this._cleanupBreakpointWatcher();
+		this._cleanupDeferralWatcher();
+		this._cleanupIntentWatcher();
+		removePrintElement(this);
+		removeImageHints(this);
+		releaseLoadSlot(this);
+		this._cancelRetry();
+		if (this._sourceObserver) {
+			this._sourceObserver.disconnect();
+			this._sourceObserver = null;
+		}
+	}
+
+	attributeChangedCallback(name, oldValue, newValue) {
+		if (oldValue !== newValue) {
+			// Update cached attribute values
+			if (name === 'named-breakpoints') {
+				this._namedBreakpoints = newValue;
+				// Update parsed breakpoints cache
+				this._parsedBreakpoints = newValue
+					? newValue.split(',').map((bp) => bp.trim())
+					: null;
+			} else if (name === 'min-inline-size') {
+				this._minInlineSize = newValue;
+			} else if (name === 'sources') {
+				this._sourceTiers = parseSourceTiers(newValue);
+			} else if (name === 'container-query') {
+				this._containerQuery = parseContainerQuery(newValue);
+			} else if (name === 'query') {
+				this._query = parseQuery(newValue);
+			} else if (name === 'trigger') {
+				this._trigger = parseTrigger(newValue);
+			}
+
+			// Move to the observers and listeners the new configuration
+			// needs (once connectedCallback has set them up)
+			if (
+				this._watching &&
+				LazyImgElement.CONFIG_ATTRIBUTES.includes(name)
+			) {
+				this._rebuildWatchers();
+			}
+
+			// A hint for the old source would now fetch the wrong image
+			if (LazyImgElement.SOURCE_ATTRIBUTES.includes(name)) {
+				removeImageHints(this);
+			}
+
+			// If already loaded and it's a source attribute change, don't
+			// allow it, unless swap-on-change picks it up once the current
+			// batch of attribute changes is done
+			if (
+				this._loaded &&
+				LazyImgElement.SOURCE_ATTRIBUTES.includes(name)
+			) {
+				if (this.swapOnChange && !this._sourceChangeScheduled) {
+					this._sourceChangeScheduled = true;
+					queueMicrotask(() => this._changeSource());
+				}
+				return;
+			}
+
+			// A new source gets a fresh retry budget
+			if (LazyImgElement.SOURCE_ATTRIBUTES.includes(name)) {
+				this._resetRetries();
+			}
+
+			// If already loaded and it's a non-source img attribute change, re-render
+			if (this._loaded && LazyImgElement.IMG_ATTRIBUTES.includes(name)) {
+				this.render();
+				return;
+			}
+
+			// If already loaded and it's a config change, don't reload.
+			// Otherwise the rebuilt watchers (or connectedCallback) re-check
+			// the conditions
+			if (this._loaded) {
+				return;
+			}
+			this.render();
+		}
+	}
+
+	/**
+	 * Tears down every condition watcher and sets up the ones the current
+	 * configuration needs, e.g. moving from a ResizeObserver to the
+	 * IntersectionObserver shared by the new view-range-start
+	 */
+	_rebuildWatchers() {
+		this._cleanupResizeWatcher();
+		this._cleanupUnloadWatcher();
+		this._cleanupNetworkWatcher();
+		this._cleanupMediaWatcher();
+		this._cleanupBreakpointWatcher();
+		this._cleanupDeferralWatcher();
+		this._cleanupIntentWatcher();
+		this._setupUnloadWatcher();
+		this._setupResizeWatcher();
+		this._setupNetworkWatcher();
+		this._setupMediaWatcher();
+		this._setupBreakpointWatcher();
+		this._setupDeferralWatcher();
+		this._setupIntentWatcher();
+	}
+
+	_setupResizeWatcher() {
+		const { size, view, idle } = this._query;
+
+		// Triggers only matter until the image has loaded
+		if (view && !this._loaded) {
+			this._observeView();
+		}
+		if (idle && !this._idleReached && !this._loaded) {
+			addIdleElement(this);
+		}
+
+		if (size === 'container') {
+			// Use shared ResizeObserver for container queries to improve performance
+			// when multiple lazy-img elements share the same container
+			const targetElement = this._resolveContainer();
+			this._observedTarget = targetElement;
+
+			// Create callback for this instance
+			this._resizeCallback = (entries) => {
+				this._throttledResize(() => {
+					for (const entry of entries) {
+						this._currentSize =
+							entry.contentBoxSize?.[0]?.inlineSize ||
+							entry.contentRect.width;
+						this._currentBlockSize =
+							entry.contentBoxSize?.[0]?.blockSize ||
+							entry.contentRect.height;
+						this._checkAndLoad();
+					}
+				});
+			};
+
+			// Register with shared observer
+			const shared = LazyImgElement._getSharedObserver(targetElement);
+			shared.callbacks.add(this._resizeCallback);
+		} else if (size === 'media') {
+			// Use shared window resize listener for media queries, unless a
+			// `media` attribute (watched by _setupMediaWatcher) is all there is
+			if (!this.hasAttribute('media') || this._hasSizeConditions()) {
+				this._handleResize = () => {
+					this._throttledResize(() => {
+						this._currentSize = window.innerWidth;
+						this._currentBlockSize = window.innerHeight;
+						this._checkAndLoad();
+					});
+				};
+				addSharedEventCallback(window, 'resize', this._handleResize);
+			}
+			// Initial check
+			this._currentSize = window.innerWidth;
+			this._currentBlockSize = window.innerHeight;
+		}
+
+		// Without a size query this only loads if the view or idle
+		// trigger has already fired
+		this._recheckConditions();
+	}
+
+	/**
+	 * Finds the element to measure in container mode: the closest ancestor
+	 * matching the `container` selector or CSS container-name (crossing
+	 * shadow boundaries), otherwise the parent (or shadow host)
+	 * @returns {Element}
+	 */
+	_resolveContainer() {
+		const container = this.container?.trim();
+		if (container) {
+			const match =
+				this._closestComposed(container) ||
+				this._closestNamedContainer(container);
+			if (match) {
+				return match;
+			}
+			console.warn(
+				`lazy-img: no ancestor matches container "${container}"`,
+			);
+		}
+		return getComposedParent(this) || this;
+	}
+
+	/**
+	 * The scroll container view mode observes against: the closest
+	 * ancestor matching the `view-root` selector, or null for the viewport
+	 * @returns {Element|null}
+	 */
+	_resolveViewRoot() {
+		const viewRoot = this.viewRoot?.trim();
+		if (!viewRoot) {
+			return null;
+		}
+		const match = this._closestComposed(viewRoot);
+		if (!match) {
+			console.warn(
+				`lazy-img: no ancestor matches view-root "${viewRoot}"`,
+			);
+		}
+		return match;
+	}
+
+	_closestComposed(selector) {
+		let element = getComposedParent(this);
+		while (element) {
+			let match;
+			try {
+				match = element.closest(selector);
+			} catch {
+				// Not a valid selector, so it can only be a container-name
+				return null;
+			}
+			if (match) {
+				return match;
+			}
+			element = element.getRootNode().host || null;
+		}
+		return null;
+	}
+
+	_closestNamedContainer(name) {
+		for (
+			let element = getComposedParent(this);
+			element;
+			element = getComposedParent(element)
+		) {
+			const containerName =
+				getComputedStyle(element).getPropertyValue('container-name');
+			if (containerName.trim().split(/\s+/).includes(name)) {
+				return element;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Watches for the element entering the view range with the shared
+	 * IntersectionObserver, loading once and then unobserving
+	 */
+	_observeView() {
+		if (this._intersectionCallback) {
+			return;
+		}
+
+		const root = this._resolveViewRoot();
+		const { rootMargin, threshold } = parseViewRange(
+			this.viewRangeStart,
+			getScrollAxis(root),
+		);
+
+		// Store config for cleanup
+		this._intersectionConfig = { root, rootMargin, threshold };
+
+		// Create callback for this instance - load once and unobserve
+		this._intersectionCallback = (entry) => {
+			if (this._clampViewThreshold(entry)) {
+				return;
+			}
+			this._inView = entry.isIntersecting;
+			this._checkTriggersAndLoad();
+		};
+
+		// Viewport lengths were converted to pixels for the current size
+		if (/\d(?:vh|vw)$/.test(this.viewRangeStart?.trim() ?? '')) {
+			this._watchViewResize();
+		}
+
+		// Register with shared observer
+		addSharedIntersectionObserver(
+			this._intersectionConfig,
+			this,
+			this._intersectionCallback,
+		);
+
+		// With `preload`, prefetch the image as it approaches, through a
+		// second observer with a wider margin
+		if (this.preload) {
+			this._approachConfig = {
+				root,
+				rootMargin: this.prefetchMargin,
+				threshold: 0,
+			};
+			this._approachCallback = (entry) => {
+				if (entry.isIntersecting && this._qualifiesNow()) {
+					this._addImageHint('prefetch');
+					this._unobserveApproach();
+				}
+			};
+			addSharedIntersectionObserver(
+				this._approachConfig,
+				this,
+				this._approachCallback,
+			);
+		}
+	}
+
+	_unobserveApproach() {
+		if (this._approachCallback) {
+			removeSharedIntersectionObserver(
+				this._approachConfig,
+				this,
+				this._approachCallback,
+			);
+		}
+		this._approachCallback = null;
+		this._approachConfig = null;
+	}
+
+	/**
+	 * With `preload`, hints the image's fetch from the document head. Images
+	 * with <source> children are left out, since a hint can't pick among
+	 * them, and so are prefetches of images with a srcset
+	 * @param {string} rel - "preload" or "prefetch"
+	 */
+	_addImageHint(rel) {
+		if (
+			!this.preload ||
+			this._loadState === 'loaded' ||
+			// The image is already on its way
+			(rel === 'prefetch' && this._loaded)
+		) {
+			return;
+		}
+		const imgAttrs = this._getImgAttributes();
+		if (
+			!imgAttrs.src ||
+			(rel === 'prefetch' && imgAttrs.srcset) ||
+			this._getSourceElementAttributes().length
+		) {
+			return;
+		}
+		addImageHint(this, LazyImgElement._getHintAttributes(rel, imgAttrs));
+	}
+
+	/**
+	 * Loads once the element is in view (view mode) or the browser is idle
+	 * (idle mode) and the other conditions allow it, then stops observing.
+	 * Combined with a size query, the size conditions have to be met too
+	 */
+	_checkTriggersAndLoad() {
+		if (this._query.size) {
+			this._checkAndLoad();
+			return;
+		}
+		if (
+			this._loaded ||
+			!this._meetsTriggers() ||
+			!this._meetsNetworkConditions() ||
+			!this._meetsMediaCondition() ||
+			!this._meetsDeferral()
+		) {
+			return;
+		}
+		this._loadImage();
+		// Cleanup after loading
+		this._unobserveView();
+	}
+
+	/**
+	 * Whether the view and idle triggers in the query, and the click or
+	 * intent trigger, have fired
+	 * @returns {boolean}
+	 */
+	_meetsTriggers() {
+		return (
+			(!this._query.view || this._inView) &&
+			(!this._query.idle || this._idleReached) &&
+			(!this._trigger || this._triggered)
+		);
+	}
+
+	/**
+	 * Whether the trigger="click" button is waiting to be pressed
+	 * @returns {boolean}
+	 */
+	_showsTriggerButton() {
+		return (
+			this._trigger === 'click' &&
+			!this._triggered &&
+			!this._loaded &&
+			this._hasSource()
+		);
+	}
+
+	/**
+	 * Records a click on the trigger button, or intent on the intent
+	 * target, and loads if the other conditions allow it
+	 */
+	_fireTrigger() {
+		if (this._triggered) {
+			return;
+		}
+		this._triggered = true;
+		this._cleanupIntentWatcher();
+		this.render();
+		this._recheckConditions();
+	}
+
+	/**
+	 * With trigger="intent", loads on the first hover or focus of the
+	 * closest ancestor matching `intent-target` (default: a link), or of
+	 * the element itself when there is none
+	 */
+	_setupIntentWatcher() {
+		if (
+			this._intentCallback ||
+			this._triggered ||
+			this._loaded ||
+			this._trigger !== 'intent'
+		) {
+			return;
+		}
+		const selector = this.intentTarget?.trim();
+		let target = this._closestComposed(selector || DEFAULT_INTENT_TARGET);
+		if (!target && selector) {
+			console.warn(
+				`lazy-img: no ancestor matches intent-target "${selector}"`,
+			);
+		}
+		target ??= this;
+
+		this._intentTarget = target;
+		this._intentCallback = () => this._fireTrigger();
+		INTENT_EVENTS.forEach((type) =>
+			addSharedEventCallback(target, type, this._intentCallback),
+		);
+	}
+
+	_cleanupIntentWatcher() {
+		if (!this._intentCallback) {
+			return;
+		}
+		INTENT_EVENTS.forEach((type) =>
+			removeSharedEventCallback(
+				this._intentTarget,
+				type,
+				this._intentCallback,
+			),
+		);
+		this._intentTarget = null;
+		this._intentCallback = null;
+	}
+
+	_unobserveView() {
+		if (this._intersectionCallback && this._intersectionConfig) {
+			removeSharedIntersectionObserver(
+				this._intersectionConfig,
+				this,
+				this._intersectionCallback,
+			);
+		}
+		this._intersectionCallback = null;
+		this._intersectionConfig = null;
+		this._inView = false;
+		this._unobserveApproach();
+		if (this._viewResizeCallback) {
+			removeSharedEventCallback(
+				window,
+				'resize',
+				this._viewResizeCallback,
+			);
+			clearTimeout(this._viewResizeTimeout);
+		}
+		this._viewResizeCallback = null;
+		this._viewResizeTimeout = null;
+	}
+
+	/**
+	 * A target larger than the (margin-adjusted) root never becomes fully
+	 * visible, so a threshold of 1 ("contain") or a large entry percentage
+	 * would never be reached. Re-observes with the largest ratio the target
+	 * can reach, worked out from the first entry
+	 * @param {IntersectionObserverEntry} entry
+	 * @returns {boolean} Whether the element is being re-observed
+	 */
+	_clampViewThreshold(entry) {
+		const { threshold } = this._intersectionConfig;
+		const { rootBounds, boundingClientRect: target } = entry;
+		if (!threshold || !rootBounds || !target.width || !target.height) {
+			return false;
+		}
+		const reachable =
+			Math.floor(
+				Math.min(1, rootBounds.width / target.width) *
+					Math.min(1, rootBounds.height / target.height) *
+					100,
+			) / 100;
+		if (reachable >= threshold) {
+			return false;
+		}
+		removeSharedIntersectionObserver(
+			this._intersectionConfig,
+			this,
+			this._intersectionCallback,
+		);
+		this._intersectionConfig = {
+			...this._intersectionConfig,
+			threshold: reachable,
+		};
+		addSharedIntersectionObserver(
+			this._intersectionConfig,
+			this,
+			this._intersectionCallback,
+		);
+		// The reachable ratio changes with the root's size
+		this._watchViewResize();
+		return true;
+	}
+
+	/**
+	 * Observes the view range afresh once a window resize settles, for
+	 * ranges that depend on the viewport's size
+	 */
+	_watchViewResize() {
+		if (this._viewResizeCallback) {
+			return;
+		}
+		this._viewResizeCallback = () => {
+			clearTimeout(this._viewResizeTimeout);
+			this._viewResizeTimeout = setTimeout(() => {
+				this._viewResizeTimeout = null;
+				this._unobserveView();
+				this._observeView();
+			}, this._throttleDelay);
+		};
+		addSharedEventCallback(window, 'resize', this._viewResizeCallback);
+	}
+
+	/**
+	 * Re-checks the loading conditions after something other than the
+	 * size watchers changed (network, media query, etc.)
+	 */
+	_recheckConditions() {
+		if (this._query.size) {
+			this._checkAndLoad();
+		} else {
+			this._checkTriggersAndLoad();
+		}
+	}
+
+	/**
+	 * Re-checks loading conditions whenever the connection or the
+	 * prefers-reduced-data preference changes
+	 */
+	_setupNetworkWatcher() {
+		if (this._networkCallback || !this._hasNetworkConditions()) {
+			return;
+		}
+
+		this._networkCallback = () => this._recheckConditions();
+		if (navigator.connection) {
+			addSharedEventCallback(
+				navigator.connection,
+				'change',
+				this._networkCallback,
+			);
+		}
+		if (typeof window.matchMedia === 'function') {
+			addSharedEventCallback(
+				getMediaQueryList(REDUCED_DATA_QUERY),
+				'change',
+				this._networkCallback,
+			);
+		}
+	}
+
+	_cleanupNetworkWatcher() {
+		if (!this._networkCallback) {
+			return;
+		}
+		if (navigator.connection) {
+			removeSharedEventCallback(
+				navigator.connection,
+				'change',
+				this._networkCallback,
+			);
+		}
+		if (typeof window.matchMedia === 'function') {
+			removeSharedEventCallback(
+				getMediaQueryList(REDUCED_DATA_QUERY),
+				'change',
+				this._networkCallback,
+			);
+		}
+		this._networkCallback = null;
+	}
+
+	/**
+	 * With named breakpoints, re-checks when --lazy-img-mq changes for any
+	 * reason (a class toggle, a media or container style query, printing),
+	 * not just on resize. A hidden shadow element inherits the property and
+	 * reports each change through its discrete transition (see STYLES).
+	 * Being internal, its transition can't be overridden by author styles
+	 */
+	_setupBreakpointWatcher() {
+		if (this._breakpointCallback || !this._parsedBreakpoints) {
+			return;
+		}
+		this._breakpointWatcher = document.createElement('span');
+		this._breakpointWatcher.className = 'breakpoint-watcher';
+		this._breakpointWatcher.setAttribute('aria-hidden', 'true');
+		this._breakpointCallback = (event) => {
+			if (event.propertyName === MQ_PROPERTY && this._query.size) {
+				scheduleBreakpointCheck(this);
+			}
+		};
+		this._breakpointWatcher.addEventListener(
+			'transitionrun',
+			this._breakpointCallback,
+		);
+		this.shadowRoot.appendChild(this._breakpointWatcher);
+	}
+
+	_cleanupBreakpointWatcher() {
+		if (!this._breakpointCallback) {
+			return;
+		}
+		this._breakpointWatcher.removeEventListener(
+			'transitionrun',
+			this._breakpointCallback,
+		);
+		this._breakpointWatcher.remove();
+		pendingBreakpointChecks.delete(this);
+		this._breakpointCallback = null;
+		this._breakpointWatcher = null;
+	}
+
+	/**
+	 * With a `media` attribute, re-checks the conditions whenever its
+	 * shared MediaQueryList changes: no work while a resize is in progress
+	 */
+	_setupMediaWatcher() {
+		const media = this.media?.trim();
+		if (
+			this._mediaCallback ||
+			!media ||
+			typeof window.matchMedia !== 'function'
+		) {
+			return;
+		}
+
+		const mediaQueryList = getMediaQueryList(media);
+		if (mediaQueryList.media === 'not all' && media !== 'not all') {
+			console.warn(`lazy-img: invalid media query "${media}"`);
+		}
+		this._mediaQueryList = mediaQueryList;
+		this._mediaCallback = () => this._recheckConditions();
+		addSharedEventCallback(mediaQueryList, 'change', this._mediaCallback);
+	}
+
+	_cleanupMediaWatcher() {
+		if (!this._mediaCallback) {
+			return;
+		}
+		removeSharedEventCallback(
+			this._mediaQueryList,
+			'change',
+			this._mediaCallback,
+		);
+		this._mediaQueryList = null;
+		this._mediaCallback = null;
+	}
+
+	/**
+	 * Whether the `media` attribute's query matches (or isn't set)
+	 * @returns {boolean}
+	 */
+	_meetsMediaCondition() {
+		const media = this.media?.trim();
+		if (!media || typeof window.matchMedia !== 'function') {
+			return true;
+		}
+		return getMediaQueryList(media).matches;
+	}
+
+	/**
+	 * With `defer-until`, waits for its named gate to be released by a
+	 * document event or a promise passed to LazyImgElement.defer()
+	 */
+	_setupDeferralWatcher() {
+		const name = this.deferUntil?.trim();
+		if (this._deferral || !name) {
+			return;
+		}
+		const deferral = getDeferral(name);
+		if (!deferral.released) {
+			this._deferral = deferral;
+			deferral.elements.add(this);
+		}
+	}
+
+	_cleanupDeferralWatcher() {
+		this._deferral?.elements.delete(this);
+		this._deferral = null;
+	}
+
+	/**
+	 * Whether the `defer-until` gate has been released (or isn't set)
+	 * @returns {boolean}
+	 */
+	_meetsDeferral() {
+		const name = this.deferUntil?.trim();
+		return !name || getDeferral(name).released;
+	}
+
+	_hasSizeConditions() {
+		return Boolean(
+			this._sourceTiers ||
+			this._parsedBreakpoints ||
+			SIZE_CONDITION_ATTRIBUTES.some((attr) => this.hasAttribute(attr)),
+		);
+	}
+
+	_hasNetworkConditions() {
+		return LazyImgElement.NETWORK_ATTRIBUTES.some((attr) =>
+			this.hasAttribute(attr),
+		);
+	}
+
+	/**
+	 * Checks the network and device conditions. Each passes when the
+	 * browser doesn't expose the underlying API
+	 * @returns {boolean}
+	 */
+	_meetsNetworkConditions() {
+		const { connection, deviceMemory } = navigator;
+
+		if (this.skipOnSaveData) {
+			const prefersReducedData =
+				typeof window.matchMedia === 'function' &&
+				getMediaQueryList(REDUCED_DATA_QUERY).matches;
+			if (connection?.saveData || prefersReducedData) {
+				return false;
+			}
+		}
+
+		const minEffectiveType = this.minEffectiveType;
+		if (minEffectiveType && connection?.effectiveType) {
+			const required = EFFECTIVE_TYPES.indexOf(minEffectiveType.trim());
+			if (required === -1) {
+				console.warn(
+					'lazy-img: min-effective-type must be "slow-2g", "2g", "3g", or "4g"',
+				);
+			} else if (
+				EFFECTIVE_TYPES.indexOf(connection.effectiveType) < required
+			) {
+				return false;
+			}
+		}
+
+		const minDeviceMemory = this.minDeviceMemory;
+		if (minDeviceMemory && typeof deviceMemory === 'number') {
+			const required = parseFloat(minDeviceMemory);
+			if (isNaN(required)) {
+				console.warn(
+					'lazy-img: min-device-memory must be a valid number',
+				);
+			} else if (deviceMemory < required) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
+	_cleanupResizeWatcher() {
+		// Cleanup shared IntersectionObserver callback
+		this._unobserveView();
+		removeIdleElement(this);
+		// Cleanup shared ResizeObserver callback
+		if (this._observedTarget && this._resizeCallback) {
+			LazyImgElement._removeSharedObserver(
+				this._observedTarget,
+				this._resizeCallback,
+			);
+			this._observedTarget = null;
+			this._resizeCallback = null;
+		}
+		// Cleanup shared window resize listener
+		if (this._handleResize) {
+			removeSharedEventCallback(window, 'resize', this._handleResize);
+			this._handleResize = null;
+		}
+		// Cleanup throttle timeout
+		if (this._throttleTimeout) {
+			clearTimeout(this._throttleTimeout);
+			this._throttleTimeout = null;
+		}
+	}
+
+	/**
+	 * Re-renders when light DOM <source> children (or the fallback <img>)
+	 * are added, removed, or changed, until the image has finished loading
+	 */
+	_observeSourceElements() {
+		if (this._sourceObserver || typeof MutationObserver === 'undefined') {
+			return;
+		}
+		this._sourceObserver = new MutationObserver((mutations) => {
+			// The host's own attributes go through attributeChangedCallback
+			if (
+				mutations.every(
+					(mutation) =>
+						mutation.type === 'attributes' &&
+						mutation.target === this,
+				)
+			) {
+				return;
+			}
+			this._lightImageAttributes = null;
+			if (this._loadState !== 'loaded') {
+				this.render();
+			}
+		});
+		this._sourceObserver.observe(this, {
+			childList: true,
+			subtree: true,
+			attributes: true,
+			attributeFilter: [
+				...new Set([
+					...LazyImgElement.PICTURE_SOURCE_ATTRIBUTES,
+					...LazyImgElement.IMG_ATTRIBUTES,
+					...LazyImgElement.SOURCE_ATTRIBUTES.map(
+						(attr) => `data-${attr}`,
+					),
+				]),
+			],
+		});
+	}
+
+	/**
+	 * With unload="offscreen", watches whether the element is within
+	 * `unload-margin` of the viewport. The margin is wider than any view
+	 * range so images don't flap between loaded and unloaded
+	 */
+	_setupUnloadWatcher() {
+		if (this.unload !== 'offscreen' || this._unloadCallback) {
+			return;
+		}
+
+		this._unloadConfig = { rootMargin: this.unloadMargin, threshold: 0 };
+		// Count as offscreen until the observer reports, so a long feed
+		// doesn't fetch every image on connect only to unload them
+		this._offscreen = true;
+		this._unloadCallback = (entry) => {
+			if (entry.isIntersecting) {
+				this._cancelUnload();
+				if (this._offscreen) {
+					this._offscreen = false;
+					// View-only mode re-arms its own observer when unloading
+					if (this._query.size || !this._query.view) {
+						this._recheckConditions();
+					}
+				}
+				return;
+			}
+			this._offscreen = true;
+			if (this._loaded) {
+				this._scheduleUnload('offscreen');
+			}
+		};
+		addSharedIntersectionObserver(
+			this._unloadConfig,
+			this,
+			this._unloadCallback,
+		);
+	}
+
+	_cleanupUnloadWatcher() {
+		this._cancelUnload();
+		if (this._unloadCallback && this._unloadConfig) {
+			removeSharedIntersectionObserver(
+				this._unloadConfig,
+				this,
+				this._unloadCallback,
+			);
+		}
+		this._unloadCallback = null;
+		this._unloadConfig = null;
+		this._offscreen = false;
+	}
+
+	/**
+	 * Unloads the image after `unload-delay`, unless the element
+	 * re-qualifies or comes back into range first
+	 * @param {string} reason - "disqualify" or "offscreen"
+	 */
+	_scheduleUnload(reason) {
+		if (this._unloadTimeout) {
+			return;
+		}
+		let delay = parseInt(this.unloadDelay, 10);
+		if (isNaN(delay)) {
+			console.warn('lazy-img: unload-delay must be a valid number');
+			delay = DEFAULT_UNLOAD_DELAY;
+		}
+		this._unloadTimeout = setTimeout(() => {
+			this._unloadTimeout = null;
+			this._unloadImage(reason);
+		}, delay);
+	}
+
+	_cancelUnload() {
+		if (this._unloadTimeout) {
+			clearTimeout(this._unloadTimeout);
+			this._unloadTimeout = null;
+		}
+	}
+
+	/**
+	 * Picks up an <img> rendered on the server, which may already have
+	 * settled before the element upgraded
+	 */
+	_adoptRenderedImage() {
+		const img = this.shadowRoot.querySelector('img');
+		if (!img) {
+			return;
+		}
+		img.addEventListener('load', this._handleImageLoad);
+		img.addEventListener('error', this._handleImageError);
+		if (!img.complete) {
+			this._setLoadState('loading');
+		} else if (img.naturalWidth > 0) {
+			this._handleImageLoad({ currentTarget: img });
+		} else {
+			this._handleImageError({ currentTarget: img });
+		}
+	}
+
+	/**
+	 * Loads the image regardless of its conditions so it appears in print
+	 * @returns {Promise<void>} Resolves once the image has decoded (or failed)
+	 */
+	_loadForPrint() {
+		if (this.print === 'skip' || !this._hasSource()) {
+			return Promise.resolve();
+		}
+
+		this.load({ force: true });
+
+		const img = this.shadowRoot.querySelector('img');
+		if (!img || typeof img.decode !== 'function') {
+			return Promise.resolve();
+		}
+		return img.decode().catch(() => {});
+	}
+
+	/**
+	 * Removes the inner image to free memory while holding its space, and
+	 * re-arms loading for when the element qualifies again
+	 * @param {string} reason - "disqualify" or "offscreen"
+	 */
+	_unloadImage(reason) {
+		const img = this.shadowRoot.querySelector('img');
+		if (!img) {
+			return;
+		}
+
+		const src = img.currentSrc || img.getAttribute('src');
+		const { width, height } = img.getBoundingClientRect();
+		if (width > 0 && height > 0) {
+			this._reservedSize = { width, height };
+		}
+
+		this._loaded = false;
+		this._activeTier = null;
+		this.render();
+		this._dispatch('unloaded', { src, reason });
+
+		if (this._query.view) {
+			this._observeView();
+		}
+	}
+
+	_upgradeReflectedProperties() {
+		for (const property of REFLECTED_PROPERTY_NAMES) {
+			this._upgradeProperty(property);
+		}
+	}
+
+	_upgradeProperty(prop) {
+		if (Object.prototype.hasOwnProperty.call(this, prop)) {
+			const value = this[prop];
+			delete this[prop];
+			this[prop] = value;
+		}
+	}
+
+	_markInternalsRendered() {
+		if (this._internals) {
+			this._internals.isRendered = true;
+			this._updateSemantics();
+		}
+	}
+
+	/**
+	 * Exposes the host as the image: role="img" labelled by the alt text,
+	 * whether or not the shadow <img> exists yet, so the host's own
+	 * aria-describedby describes it. An empty alt makes the host
+	 * presentational, while a missing one leaves its role unset, and while
+	 * the trigger button is shown the host steps aside so the button (which
+	 * carries the alt text) is reachable.
+	 * Role and aria-* attributes set on the host still win
+	 */
+	_updateSemantics() {
+		const alt = this._getImageAttribute('alt');
+		if (this._showsTriggerButton()) {
+			this._internals.role = null;
+			this._internals.ariaLabel = null;
+		} else if (alt) {
+			this._internals.role = 'img';
+			this._internals.ariaLabel = alt;
+		} else {
+			this._internals.role = alt === '' ? 'presentation' : null;
+			this._internals.ariaLabel = null;
+		}
+	}
+
+	/**
+	 * Current image lifecycle state: "idle", "queued", "loading", "loaded", or
+	 * "errored"
+	 * @returns {string}
+	 */
+	get loadState() {
+		return this._loadState;
+	}
+
+	/**
+	 * 1-based position in the shared load queue while the element waits
+	 * for a free slot, otherwise null
+	 * @returns {number|null}
+	 */
+	get queuePosition() {
+		return getLoadQueuePosition(this);
+	}
+
+	/**
+	 * Resolves once the inner image has loaded and decoded, and rejects if
+	 * it fails with no attempts remaining. After the image is unloaded or
+	 * reset, a new promise tracks the next load.
+	 * @returns {Promise<void>}
+	 */
+	get ready() {
+		if (!this._ready) {
+			let resolve;
+			let reject;
+			const promise = new Promise((res, rej) => {
+				resolve = res;
+				reject = rej;
+			});
+			// Don't report a rejection nobody is waiting for
+			promise.catch(() => {});
+			this._ready = { promise, resolve, reject, settled: false };
+
+			if (this._loadState === 'loaded') {
+				this._resolveReady();
+			} else if (this._loadState === 'errored') {
+				this._rejectReady();
+			}
+		}
+		return this._ready.promise;
+	}
+
+	/**
+	 * Loads the image. Without `force` this re-checks the loading
+	 * conditions; with `force` it loads regardless of them, without
+	 * waiting in the load queue.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.force=false] - Bypass the loading conditions
+	 * @returns {Promise<void>} The `ready` promise
+	 */
+	load({ force = false } = {}) {
+		if (force) {
+			this._cancelUnload();
+			this._forcedLoad = true;
+			if (!this._loaded) {
+				this._unobserveView();
+				this._loadImage();
+			} else if (this._loadState === 'queued') {
+				this.render();
+			}
+		} else {
+			this._recheckConditions();
+		}
+		return this.ready;
+	}
+
+	/**
+	 * Returns the element to its unloaded state and re-arms its observers,
+	 * so the image loads again once its conditions are met
+	 */
+	reset() {
+		this._cancelUnload();
+		this._loaded = false;
+		this._activeTier = null;
+		this._offscreen = false;
+		this._inView = false;
+		this._triggered = false;
+		this._reservedSize = null;
+		this._removeImage();
+
+		if (this.isConnected) {
+			this._cleanupResizeWatcher();
+			this._cleanupUnloadWatcher();
+			this.render();
+			this._setupUnloadWatcher();
+			this._setupResizeWatcher();
+			this._setupIntentWatcher();
+		} else {
+			this.render();
+		}
+	}
+
+	/**
+	 * With swap-on-change, moves a loaded element to its new src, srcset,
+	 * or sizes. While the element qualifies, the new image is preloaded
+	 * off-DOM and decoded before it replaces the current one, so there's
+	 * no blank frame. Otherwise the element resets to unloaded
+	 */
+	_changeSource() {
+		this._sourceChangeScheduled = false;
+		const img = this.shadowRoot.querySelector('img');
+		if (!this._loaded || !img) {
+			return;
+		}
+		const previousSrc = img.getAttribute('src');
+		// A new source gets a fresh retry budget
+		this._resetRetries();
+
+		if (!this._qualifiesNow()) {
+			this.reset();
+			this._dispatch('sourcechange', {
+				src: this._getSourceUrl(),
+				previousSrc,
+				swapped: false,
+			});
+			return;
+		}
+
+		const imgAttrs = this._getImgAttributes();
+		if (
+			LazyImgElement.SOURCE_ATTRIBUTES.every(
+				(attr) => (imgAttrs[attr] ?? null) === img.getAttribute(attr),
+			)
+		) {
+			return;
+		}
+
+		this._preloadAndSwap(img, imgAttrs, () => {
+			this._dispatch('sourcechange', {
+				src: imgAttrs.src ?? null,
+				previousSrc,
+				swapped: true,
+			});
+		});
+	}
+
+	/**
+	 * Preloads and decodes an image off-DOM before moving the inner image
+	 * to it, so the current image stays on screen until the new one is
+	 * ready. Each call supersedes the ones before it
+	 * @param {HTMLImageElement} img - The inner image
+	 * @param {Object} imgAttrs - The image attributes to move to
+	 * @param {Function} onSwap - Called once swapped, unless a newer swap, a
+	 *   reset, or an unload took over in the meantime
+	 * @param {Function} [onFail] - Called instead of swapping when the new
+	 *   image fails to load or decode. Without it, the swap goes ahead
+	 * @returns {number} The swap's id, compared against `_sourceSwap`
+	 */
+	_preloadAndSwap(img, imgAttrs, onSwap, onFail = null) {
+		// Same request settings as the inner image, so it is a cache hit
+		const preload = document.createElement('img');
+		for (const attr of [
+			'crossorigin',
+			'referrerpolicy',
+			'sizes',
+			'srcset',
+			'src',
+		]) {
+			if (imgAttrs[attr] !== undefined) {
+				preload.setAttribute(attr, imgAttrs[attr]);
+			}
+		}
+
+		const swap = ++this._sourceSwap;
+		const decoded =
+			typeof preload.decode === 'function'
+				? preload.decode()
+				: Promise.resolve();
+		decoded
+			.then(
+				() => true,
+				() => false,
+			)
+			.then((ready) => {
+				// A newer change, a reset, or an unload took over
+				if (
+					swap !== this._sourceSwap ||
+					img !== this.shadowRoot.querySelector('img')
+				) {
+					return;
+				}
+				// Unless the caller handles it, swap even if decoding fails, so
+				// the inner image's error handling (retries, fallback-src,
+				// lazy-img:error) takes over
+				if (!ready && onFail) {
+					onFail();
+					return;
+				}
+				for (const attr of LazyImgElement.SOURCE_ATTRIBUTES) {
+					if (imgAttrs[attr] === undefined) {
+						img.removeAttribute(attr);
+					} else {
+						img.setAttribute(attr, imgAttrs[attr]);
+					}
+				}
+				onSwap();
+			});
+		return swap;
+	}
+
+	/**
+	 * Whether the element meets its conditions apart from the view, idle,
+	 * click, and intent triggers, e.g. so a new source can be swapped in
+	 * rather than waiting for them again
+	 * @returns {boolean}
+	 */
+	_qualifiesNow() {
+		if (this._offscreen) {
+			return false;
+		}
+		if (this._query.size) {
+			return this._updateQualifies();
+		}
+		return (
+			this._meetsNetworkConditions() &&
+			this._meetsMediaCondition() &&
+			this._meetsDeferral()
+		);
+	}
+
+	/**
+	 * Waits for the image to load, then decodes the current inner image
+	 * @returns {Promise<void>} Rejects if the image fails to load or decode
+	 */
+	decode() {
+		return this.ready.then(() => {
+			const img = this.shadowRoot.querySelector('img');
+			if (img && typeof img.decode === 'function') {
+				return img.decode();
+			}
+		});
 	}
 
-	disconnectedCallback() {
-		this._cleanupResizeWatcher();
+	_resolveReady() {
+		const ready = this._ready;
+		ready.settled = true;
+		const img = this.shadowRoot.querySelector('img');
+		const decoded =
+			img && typeof img.decode === 'function'
+				? img.decode().catch(() => {})
+				: Promise.resolve();
+		decoded.then(() => ready.resolve());
 	}
 
-	attributeChangedCallback(name, oldValue, newValue) {
-		if (oldValue !== newValue) {
-			// Update cached attribute values
-			if (name === 'named-breakpoints') {
-				this._namedBreakpoints = newValue;
-				// Update parsed breakpoints cache
-				this._parsedBreakpoints = newValue
-					? newValue.split(',').map((bp) => bp.trim())
-					: null;
-			} else if (name === 'min-inline-size') {
-				this._minInlineSize = newValue;
-			} else if (name === 'query') {
-				this._queryType = this.query;
-			}
+	_rejectReady() {
+		this._ready.settled = true;
+		this._ready.reject(new Error('lazy-img: image failed to load'));
+	}
 
-			// If already loaded and it's a source attribute change, don't allow it
-			if (
-				this._loaded &&
-				LazyImgElement.SOURCE_ATTRIBUTES.includes(name)
-			) {
-				return;
+	/**
+	 * Moves the element to a new lifecycle state and mirrors it to the
+	 * `loaded`/`errored` attributes and to custom states
+	 * @param {string} state - One of "idle", "loading", "loaded", "errored"
+	 */
+	_setLoadState(state) {
+		this._loadState = state;
+
+		if (this._ready) {
+			if (state === 'loaded') {
+				this._resolveReady();
+			} else if (state === 'errored') {
+				this._rejectReady();
+			} else if (this._ready.settled) {
+				// A new load cycle gets a new promise
+				this._ready = null;
 			}
+		}
 
-			// If already loaded and it's a non-source img attribute change, re-render
-			if (this._loaded && LazyImgElement.IMG_ATTRIBUTES.includes(name)) {
-				this.render();
-				return;
-			}
+		if (state === 'loaded') {
+			this.setAttribute('loaded', '');
+		} else {
+			this.removeAttribute('loaded');
+		}
+		if (state === 'errored') {
+			this.setAttribute('errored', '');
+		} else {
+			this.removeAttribute('errored');
+		}
 
-			// If already loaded and it's a config change, don't reload
-			if (this._loaded && name !== 'query') {
-				return;
-			}
-			this.render();
-			// Reset and recheck if configuration changed
-			if (LazyImgElement.CONFIG_ATTRIBUTES.includes(name)) {
-				this._loaded = false;
-				this._checkAndLoad();
+		const states = this._internals?.states;
+		if (states) {
+			for (const name of LOAD_STATES) {
+				try {
+					if (name === state) {
+						states.add(name);
+					} else {
+						states.delete(name);
+					}
+				} catch {
+					// Older CustomStateSet implementations only accept --dashed idents
+				}
 			}
 		}
 	}
 
-	_setupResizeWatcher() {
-		const queryType = this._queryType;
+	/**
+	 * Dispatches a bubbling, composed `lazy-img:*` event from the host
+	 * @param {string} type - Event name without the `lazy-img:` prefix
+	 * @param {Object} detail - Event detail
+	 */
+	_dispatch(type, detail) {
+		this.dispatchEvent(
+			new CustomEvent(`lazy-img:${type}`, {
+				bubbles: true,
+				composed: true,
+				detail,
+			}),
+		);
+	}
 
-		if (queryType === 'view') {
-			// Use shared IntersectionObserver for view-based loading
-			const viewRangeStart = this.viewRangeStart;
-			const { rootMargin, threshold } = parseViewRange(viewRangeStart);
+	_handleImageLoad(event) {
+		const img = event.currentTarget;
+		releaseLoadSlot(this);
+		this._setLoadState('loaded');
+		if (this._quietLoad) {
+			this._quietLoad = false;
+			return;
+		}
+		this._dispatch('loaded', {
+			src: this._getImageAttribute('src'),
+			currentSrc: img.currentSrc || img.getAttribute('src'),
+			naturalWidth: img.naturalWidth,
+			naturalHeight: img.naturalHeight,
+		});
+	}
 
-			// Store config for cleanup
-			this._intersectionConfig = { rootMargin, threshold };
+	_handleImageError(event) {
+		const img = event.currentTarget;
+		releaseLoadSlot(this);
+		const failedSrc = img.currentSrc || img.getAttribute('src');
 
-			// Create callback for this instance - load once and unobserve
-			this._intersectionCallback = (entry) => {
-				this._loadImage();
-				// Cleanup after loading
-				removeSharedIntersectionObserver(
-					rootMargin,
-					threshold,
-					this,
-					this._intersectionCallback,
-				);
-				this._intersectionCallback = null;
-				this._intersectionConfig = null;
-			};
+		if (this._scheduleRetry(img, failedSrc)) {
+			return;
+		}
 
-			// Register with shared observer
-			const shared = getSharedIntersectionObserver(rootMargin, threshold);
-			shared.callbacks.add(this._intersectionCallback);
-			shared.observer.observe(this);
-		} else if (queryType === 'container') {
-			// Use shared ResizeObserver for container queries to improve performance
-			// when multiple lazy-img elements share the same parent
-			const targetElement = this.parentElement || this;
-			this._observedTarget = targetElement;
+		this._quietLoad = false;
+		this._setLoadState('errored');
+		this._dispatch('error', {
+			src: failedSrc,
+			attempts: this._retryAttempt + 1,
+		});
+	}
 
-			// Create callback for this instance
-			this._resizeCallback = (entries) => {
-				this._throttledResize(() => {
-					for (const entry of entries) {
-						this._currentSize =
-							entry.contentBoxSize?.[0]?.inlineSize ||
-							entry.contentRect.width;
-						this._checkAndLoad();
-					}
-				});
+	/**
+	 * Schedules another attempt after a failed load. Offline failures wait
+	 * for the `online` event, others back off exponentially up to
+	 * `retry-count` times before switching to `fallback-src`
+	 * @param {HTMLImageElement} img - The image that failed
+	 * @param {string} failedSrc - The URL that failed
+	 * @returns {boolean} Whether another attempt was scheduled
+	 */
+	_scheduleRetry(img, failedSrc) {
+		if (navigator.onLine === false) {
+			this._retryOnline = () => {
+				this._cancelRetry();
+				this._retryImage(img, failedSrc, 'online');
 			};
+			addSharedEventCallback(window, 'online', this._retryOnline);
+			return true;
+		}
 
-			// Register with shared observer
-			const shared = LazyImgElement._getSharedObserver(targetElement);
-			shared.callbacks.add(this._resizeCallback);
-		} else {
-			// Use shared window resize listener for media queries
-			this._handleResize = () => {
-				this._throttledResize(() => {
-					this._currentSize = window.innerWidth;
-					this._checkAndLoad();
-				});
-			};
-			addWindowResizeCallback(this._handleResize);
-			// Initial check
-			this._currentSize = window.innerWidth;
+		const retryCount = parseInt(this.retryCount, 10) || 0;
+		if (this._retryAttempt < retryCount) {
+			let baseDelay = parseInt(this.retryDelay, 10);
+			if (isNaN(baseDelay)) {
+				console.warn('lazy-img: retry-delay must be a valid number');
+				baseDelay = DEFAULT_RETRY_DELAY;
+			}
+			const delay = baseDelay * 2 ** this._retryAttempt;
+			this._retryTimeout = setTimeout(() => {
+				this._retryTimeout = null;
+				this._retryImage(img, failedSrc, 'backoff');
+			}, delay);
+			return true;
 		}
 
-		// Only check and load for non-view modes
-		if (queryType !== 'view') {
-			this._checkAndLoad();
+		if (this.fallbackSrc && !this._usingFallback) {
+			this._usingFallback = true;
+			this._retryImage(img, failedSrc, 'fallback');
+			return true;
 		}
+
+		return false;
 	}
 
-	_cleanupResizeWatcher() {
-		// Cleanup shared IntersectionObserver callback
-		if (this._intersectionCallback && this._intersectionConfig) {
-			removeSharedIntersectionObserver(
-				this._intersectionConfig.rootMargin,
-				this._intersectionConfig.threshold,
-				this,
-				this._intersectionCallback,
-			);
-			this._intersectionCallback = null;
-			this._intersectionConfig = null;
+	/**
+	 * Re-requests the current (or fallback) source on the existing image
+	 * @param {HTMLImageElement} img - The image that failed
+	 * @param {string} failedSrc - The URL that failed
+	 * @param {string} trigger - "backoff", "online", or "fallback"
+	 */
+	_retryImage(img, failedSrc, trigger) {
+		if (!img.isConnected) {
+			return;
 		}
-		// Cleanup shared ResizeObserver callback
-		if (this._observedTarget && this._resizeCallback) {
-			LazyImgElement._removeSharedObserver(
-				this._observedTarget,
-				this._resizeCallback,
-			);
-			this._observedTarget = null;
-			this._resizeCallback = null;
+
+		this._retryAttempt += 1;
+		const attrs = this._getImgAttributes();
+
+		if (this._usingFallback) {
+			this._syncPicture(img);
+			img.removeAttribute('srcset');
+			img.removeAttribute('sizes');
+		} else if (attrs.srcset) {
+			img.setAttribute('srcset', attrs.srcset);
 		}
-		// Cleanup shared window resize listener
-		if (this._handleResize) {
-			removeWindowResizeCallback(this._handleResize);
-			this._handleResize = null;
+		// Re-setting src restarts the request even when the URL is unchanged
+		img.setAttribute('src', attrs.src);
+
+		this._dispatch('retry', {
+			attempt: this._retryAttempt,
+			src: attrs.src,
+			failedSrc,
+			trigger,
+		});
+	}
+
+	_cancelRetry() {
+		if (this._retryTimeout) {
+			clearTimeout(this._retryTimeout);
+			this._retryTimeout = null;
 		}
-		// Cleanup throttle timeout
-		if (this._throttleTimeout) {
-			clearTimeout(this._throttleTimeout);
-			this._throttleTimeout = null;
+		if (this._retryOnline) {
+			removeSharedEventCallback(window, 'online', this._retryOnline);
+			this._retryOnline = null;
 		}
 	}
 
-	_upgradeReflectedProperties() {
-		for (const property of REFLECTED_PROPERTY_NAMES) {
-			this._upgradeProperty(property);
-		}
+	_resetRetries() {
+		this._cancelRetry();
+		this._retryAttempt = 0;
+		this._usingFallback = false;
 	}
 
-	_upgradeProperty(prop) {
-		if (Object.prototype.hasOwnProperty.call(this, prop)) {
-			const value = this[prop];
-			delete this[prop];
-			this[prop] = value;
+	/**
+	 * Renders (or removes) the placeholder shown until the image loads.
+	 * Decoding happens once per attribute value
+	 */
+	_renderPlaceholder() {
+		const value = this.getAttribute('placeholder');
+		if (this._placeholder?.value !== value) {
+			this._placeholder = { value, parsed: parsePlaceholder(value) };
+		}
+		const { parsed } = this._placeholder;
+		let placeholder = this.shadowRoot.querySelector('.placeholder');
+
+		if (!parsed) {
+			if (placeholder) {
+				placeholder.remove();
+			}
+			return;
+		}
+
+		if (!placeholder) {
+			placeholder = document.createElement('div');
+			placeholder.className = 'placeholder';
+			placeholder.setAttribute('part', 'placeholder');
+			placeholder.setAttribute('aria-hidden', 'true');
+			// Keep the placeholder ahead of the <img> for the crossfade styles
+			this._styleElement.after(placeholder);
 		}
+
+		// Reserve the image's box, which wins over a ThumbHash's ratio
+		Object.assign(
+			placeholder.style,
+			getPlaceholderStyle(parsed, this._getReservedSize()),
+		);
 	}
 
-	_markInternalsRendered() {
-		if (this._internals) {
-			this._internals.isRendered = true;
+	/**
+	 * The box to hold open while there is no image: width/height win over
+	 * the size of a previously unloaded image
+	 * @returns {Object|null} The { width, height } to reserve, if any
+	 */
+	_getReservedSize() {
+		const width = parseFloat(this._getImageAttribute('width'));
+		const height = parseFloat(this._getImageAttribute('height'));
+		return width > 0 && height > 0 ? { width, height } : this._reservedSize;
+	}
+
+	/**
+	 * With trigger="click", shows a "Load image" button (over the
+	 * placeholder, if there is one) until it is pressed. Its label comes
+	 * from the `trigger-label` slot, followed by the alt text and size-hint
+	 */
+	_renderTriggerButton() {
+		let button = this.shadowRoot.querySelector('.trigger');
+
+		if (!this._showsTriggerButton()) {
+			if (button) {
+				// Keep focus on the element rather than losing it to <body>
+				if (this.shadowRoot.activeElement === button) {
+					if (!this.hasAttribute('tabindex')) {
+						this.tabIndex = -1;
+					}
+					this.focus({ preventScroll: true });
+				}
+				button.remove();
+			}
+			return;
 		}
+
+		if (!button) {
+			button = document.createElement('button');
+			button.type = 'button';
+			button.className = 'trigger';
+			button.setAttribute('part', 'trigger');
+			button.innerHTML = `<slot name="trigger-label">Load image</slot><span class="trigger-alt" part="trigger-alt"></span><span class="trigger-size" part="trigger-size"></span>`;
+			button.addEventListener('click', () => this._fireTrigger());
+			(
+				this.shadowRoot.querySelector('.placeholder') ||
+				this._styleElement
+			).after(button);
+		}
+
+		const alt = this._getImageAttribute('alt') || '';
+		const sizeHint = this.sizeHint?.trim() || '';
+		const altText = button.querySelector('.trigger-alt');
+		const sizeText = button.querySelector('.trigger-size');
+		altText.textContent = alt;
+		altText.hidden = !alt;
+		sizeText.textContent = sizeHint;
+		sizeText.hidden = !sizeHint;
 	}
 
 	_throttledResize(callback) {
@@ -602,8 +3198,9 @@ export class LazyImgElement extends HTMLElement {
 	}
 
 	_updateQualifies() {
-		// Skip qualifies in view mode - it's a one-time intersection trigger
-		if (this._queryType === 'view') {
+		// Skip qualifies in view-only mode - it's a one-time intersection
+		// trigger. Combined with a size query, qualifies covers the size part
+		if (!this._query.size) {
 			return true; // Always return true for view mode, but don't set attribute
 		}
 
@@ -613,33 +3210,34 @@ export class LazyImgElement extends HTMLElement {
 		if (this._parsedBreakpoints) {
 			const breakpoints = this._parsedBreakpoints;
 
-			// Read the current value of --lazy-img-mq from :root
-			const activeMQ = LazyImgElement.getActiveMQ();
+			// Read the current value of --lazy-img-mq from the nearest
+			// ancestor that sets it, falling back to :root
+			const parent = getComposedParent(this);
+			const activeMQ =
+				(parent && LazyImgElement.getActiveMQ(parent)) ||
+				LazyImgElement.getActiveMQ();
 
 			if (!activeMQ) {
 				console.warn(
-					'lazy-img: named-breakpoints requires --lazy-img-mq CSS custom property to be set on :root',
+					'lazy-img: named-breakpoints requires --lazy-img-mq CSS custom property to be set on :root or an ancestor',
 				);
 				qualifies = false;
 			} else {
 				qualifies = breakpoints.includes(activeMQ);
 			}
-		} else if (this._minInlineSize) {
-			// Support pixel-based min-inline-size
-			const minSize = parseInt(this._minInlineSize, 10);
-			if (isNaN(minSize)) {
-				console.warn(
-					'lazy-img: min-inline-size must be a valid number',
-				);
-				qualifies = false;
-			} else {
-				qualifies = (this._currentSize || 0) >= minSize;
-			}
 		} else {
-			// If neither is specified, always qualifies
-			qualifies = true;
+			// If no size conditions are specified, always qualifies
+			qualifies = this._meetsSizeConditions();
 		}
 
+		// Media, network, device, and defer-until conditions combine with
+		// the size conditions
+		qualifies =
+			qualifies &&
+			this._meetsMediaCondition() &&
+			this._meetsNetworkConditions() &&
+			this._meetsDeferral();
+
 		// Update qualifies attribute
 		if (qualifies) {
 			this.setAttribute('qualifies', '');
@@ -650,51 +3248,172 @@ export class LazyImgElement extends HTMLElement {
 		return qualifies;
 	}
 
+	/**
+	 * Checks every size condition against the latest measurement of the
+	 * container (or viewport in media mode). All of them must pass
+	 * @returns {boolean}
+	 */
+	_meetsSizeConditions() {
+		const inlineSize = this._currentSize || 0;
+		const blockSize = this._currentBlockSize || 0;
+		const ratio = inlineSize / blockSize;
+
+		// Without min-inline-size, the smallest tier is the threshold
+		const meetsMinInlineSize =
+			this._minInlineSize || !this._sourceTiers
+				? this._meetsLimit('min-inline-size', inlineSize)
+				: inlineSize >= this._sourceTiers[0].minSize;
+
+		// Evaluate every condition so each invalid value gets its warning
+		const results = [
+			meetsMinInlineSize,
+			this._meetsLimit('max-inline-size', inlineSize),
+			this._meetsLimit('min-block-size', blockSize),
+			this._meetsLimit('max-block-size', blockSize),
+			this._meetsLimit('min-aspect-ratio', ratio, parseAspectRatio),
+			this._meetsLimit('max-aspect-ratio', ratio, parseAspectRatio),
+			this._meetsOrientation(inlineSize, blockSize),
+			this._meetsContainerQuery(inlineSize, blockSize),
+		];
+
+		// Size conditions can't pass before the first measurement arrives
+		if (
+			this._currentSize === undefined &&
+			(this._sourceTiers ||
+				SIZE_CONDITION_ATTRIBUTES.some((attr) =>
+					this.hasAttribute(attr),
+				))
+		) {
+			return false;
+		}
+		return results.every(Boolean);
+	}
+
+	/**
+	 * Compares a measurement with a min-* or max-* attribute
+	 * @param {string} attribute - The attribute holding the limit
+	 * @param {number} measured - The measured size or ratio
+	 * @param {Function} [parse=parseFloat] - Parses the limit, NaN if invalid
+	 * @returns {boolean} Whether the limit is met (or not set)
+	 */
+	_meetsLimit(attribute, measured, parse = parseFloat) {
+		const value = this.getAttribute(attribute);
+		if (value === null) {
+			return true;
+		}
+		const limit = parse(value);
+		if (isNaN(limit)) {
+			console.warn(
+				parse === parseAspectRatio
+					? `lazy-img: ${attribute} must be a ratio like "16/9" or a number`
+					: `lazy-img: ${attribute} must be a valid number`,
+			);
+			return false;
+		}
+		return attribute.startsWith('min-')
+			? measured >= limit
+			: measured <= limit;
+	}
+
+	_meetsOrientation(inlineSize, blockSize) {
+		const orientation = this.orientation?.trim();
+		if (!orientation) {
+			return true;
+		}
+		if (!ORIENTATIONS.includes(orientation)) {
+			console.warn(
+				'lazy-img: orientation must be "portrait" or "landscape"',
+			);
+			return false;
+		}
+		// Like the orientation media feature, square counts as portrait
+		const portrait = blockSize >= inlineSize;
+		return orientation === 'portrait' ? portrait : !portrait;
+	}
+
+	/**
+	 * Evaluates the container-query condition. Font-relative lengths
+	 * resolve against the measured container, like CSS container queries
+	 * @param {number} inlineSize
+	 * @param {number} blockSize
+	 * @returns {boolean} Whether the query matches (or isn't set)
+	 */
+	_meetsContainerQuery(inlineSize, blockSize) {
+		if (!this.containerQuery?.trim()) {
+			return true;
+		}
+		// Invalid queries were reported when parsed and never match
+		if (!this._containerQuery) {
+			return false;
+		}
+
+		const size = { inlineSize, blockSize, em: 16, rem: 16 };
+		if (this._containerQuery.usesFontUnits) {
+			const root = document.documentElement;
+			const container =
+				this._query.size === 'container' && this._observedTarget
+					? this._observedTarget
+					: root;
+			size.rem = parseFloat(getComputedStyle(root).fontSize) || 16;
+			size.em =
+				parseFloat(getComputedStyle(container).fontSize) || size.rem;
+		}
+		return this._containerQuery.test(size);
+	}
+
 	_shouldLoad() {
 		// Check if conditions are met (qualifies will be updated by caller)
 		const qualifies = this._updateQualifies();
 
-		// Only load if qualifies and not already loaded
-		return qualifies && !this._loaded;
+		// Only load if qualifies, not already loaded, not unloaded for
+		// being offscreen, and (combined with view or idle) triggered
+		return (
+			qualifies &&
+			!this._loaded &&
+			!this._offscreen &&
+			this._meetsTriggers()
+		);
 	}
 
 	_checkAndLoad() {
 		// Check if should load (this also updates qualifies)
 		if (this._shouldLoad()) {
 			this._loadImage();
+			this._unobserveView();
+		} else if (this._loaded && this.qualifies) {
+			this._upgradeSourceTier();
+		}
+
+		if (this.unload === 'disqualify' && this._query.size) {
+			if (this._loaded && !this.qualifies) {
+				this._scheduleUnload('disqualify');
+			} else {
+				this._cancelUnload();
+			}
 		}
 	}
 
 	_loadImage() {
-		const src = this.getAttribute('src');
-		if (!src) {
+		if (!this._hasSource()) {
 			return;
 		}
 
+		if (this._sourceTiers) {
+			this._activeTier = this._matchSourceTier();
+		}
+		this._tierSwap = null;
+		this._quietLoad = false;
+
+		// The loaded state and event follow from the inner <img> load/error
+		// events (see _handleImageLoad/_handleImageError)
 		this._loaded = true;
-		this.setAttribute('loaded', '');
 		this.render();
-
-		// Dispatch loaded event
-		this.dispatchEvent(
-			new CustomEvent('lazy-img:loaded', {
-				bubbles: true,
-				composed: true,
-				detail: { src },
-			}),
-		);
 	}
 
 	render() {
-		const src = this.src;
-
 		// Bail early if no src - img would be invalid
-		if (!src) {
-			// Only clear if there's content to clear
-			const img = this.shadowRoot.querySelector('img');
-			if (img) {
-				img.remove();
-			}
+		if (!this._hasSource()) {
+			this._removeImage();
 			this._markInternalsRendered();
 			return;
 		}
@@ -705,44 +3424,200 @@ export class LazyImgElement extends HTMLElement {
 			this._styleInjected = true;
 		}
 
+		this._renderPlaceholder();
+		this._renderTriggerButton();
+
 		// Only render image if loaded or if no loading conditions are set
 		// For view mode, only render when loaded (IntersectionObserver controls loading)
-		const shouldRenderImage =
-			this._loaded ||
-			(this._queryType !== 'view' &&
-				!this._minInlineSize &&
-				!this._namedBreakpoints);
+		const shouldRenderImage = this._loaded || !this._hasLoadConditions();
+
+		// Check if image already exists to avoid unnecessary DOM updates
+		const existingImg = this.shadowRoot.querySelector('img');
+		// New images wait for a free slot in the shared load scheduler
+		const queued =
+			shouldRenderImage &&
+			!existingImg &&
+			!requestLoadSlot(this, this._forcedLoad);
+
+		// Hold the space of an unloaded image until it loads again
+		this._renderReservedSpace(
+			(!shouldRenderImage || queued) && this._getReservedSize(),
+		);
 
-		if (shouldRenderImage) {
-			// Check if image already exists to avoid unnecessary DOM updates
-			const existingImg = this.shadowRoot.querySelector('img');
+		if (queued) {
+			this._setLoadState('queued');
+		} else if (shouldRenderImage) {
 			const imgAttrs = this._getImgAttributes();
 
 			if (existingImg) {
 				// Update existing img attributes instead of recreating
+				// Like source attributes, <source> children are frozen once loaded
+				let sourceChanged =
+					this._loadState !== 'loaded' &&
+					this._syncPicture(existingImg);
 				for (const [key, value] of Object.entries(imgAttrs)) {
 					if (existingImg.getAttribute(key) !== value) {
 						existingImg.setAttribute(key, value);
+						if (LazyImgElement.SOURCE_ATTRIBUTES.includes(key)) {
+							sourceChanged = true;
+						}
 					}
 				}
+				if (sourceChanged) {
+					this._setLoadState('loading');
+				}
 			} else {
-				// Create new img element
+				// Create new img element, listening before src is set so
+				// cached images can't load ahead of the listeners. It goes
+				// into place first so a <picture> can pick among its sources
+				// before the src fallback is fetched
 				const img = document.createElement('img');
+				img.addEventListener('load', this._handleImageLoad);
+				img.addEventListener('error', this._handleImageError);
+				this.shadowRoot.appendChild(img);
+				this._syncPicture(img);
 				for (const [key, value] of Object.entries(imgAttrs)) {
 					img.setAttribute(key, value);
 				}
-				this.shadowRoot.appendChild(img);
+				this._setLoadState('loading');
 			}
 		} else {
 			// Remove image if conditions not met
-			const existingImg = this.shadowRoot.querySelector('img');
-			if (existingImg) {
-				existingImg.remove();
-			}
+			this._removeImage();
 		}
 
 		this._markInternalsRendered();
 	}
+
+	/**
+	 * Keeps the box of an image that isn't loaded open with an empty spacer.
+	 * A placeholder does the same job on its own (see _renderPlaceholder)
+	 * @param {Object|null} size - The { width, height } to reserve, if any
+	 */
+	_renderReservedSpace(size) {
+		let spacer = this.shadowRoot.querySelector('.reserved');
+		if (!size || this.shadowRoot.querySelector('.placeholder')) {
+			if (spacer) {
+				spacer.remove();
+			}
+			return;
+		}
+
+		if (!spacer) {
+			spacer = document.createElement('div');
+			spacer.className = 'reserved';
+			spacer.setAttribute('aria-hidden', 'true');
+			this.shadowRoot.appendChild(spacer);
+		}
+		spacer.style.inlineSize = `${size.width}px`;
+		spacer.style.aspectRatio = `${size.width} / ${size.height}`;
+	}
+
+	/**
+	 * Gathers the attributes of light DOM <source> children, which are
+	 * inert outside a <picture> and never trigger a download themselves
+	 * @returns {Array<Object>} One attribute object per <source>
+	 */
+	_getSourceElementAttributes() {
+		// The fallback replaces every candidate, not just src
+		if (this._usingFallback) {
+			return [];
+		}
+		return LazyImgElement._getPictureSourceAttributes(
+			Array.from(this.children).filter(
+				(child) => child.localName === 'source',
+			),
+		);
+	}
+
+	/**
+	 * Gathers the attributes that carry over into the <picture> from
+	 * <source> elements
+	 * @param {Iterable<Element>} sources - The <source> elements
+	 * @returns {Array<Object>} One attribute object per <source>
+	 */
+	static _getPictureSourceAttributes(sources) {
+		return Array.from(sources, (source) => {
+			const attrs = {};
+			for (const attr of LazyImgElement.PICTURE_SOURCE_ATTRIBUTES) {
+				const value = source.getAttribute(attr);
+				if (value !== null) {
+					attrs[attr] = value;
+				}
+			}
+			return attrs;
+		});
+	}
+
+	/**
+	 * Wraps the image in a <picture> built from the light DOM <source>
+	 * children, or unwraps it when there are none
+	 * @param {HTMLImageElement} img - The inner image
+	 * @returns {boolean} Whether the set of sources changed
+	 */
+	_syncPicture(img) {
+		const sources = this._getSourceElementAttributes();
+		const sourcesKey = JSON.stringify(sources);
+		let picture = this.shadowRoot.querySelector('picture');
+
+		if (!sources.length) {
+			if (picture) {
+				this.shadowRoot.appendChild(img);
+				picture.remove();
+			}
+			this._sourcesKey = null;
+			return Boolean(picture);
+		}
+
+		// A server-rendered <picture> is adopted as it is while it matches
+		if (picture && this._sourcesKey === null) {
+			this._sourcesKey = JSON.stringify(
+				LazyImgElement._getPictureSourceAttributes(
+					picture.querySelectorAll('source'),
+				),
+			);
+		}
+		if (picture && this._sourcesKey === sourcesKey) {
+			return false;
+		}
+
+		if (!picture) {
+			picture = document.createElement('picture');
+			this.shadowRoot.appendChild(picture);
+		}
+		picture.replaceChildren(
+			...sources.map((attrs) => {
+				const source = document.createElement('source');
+				for (const [key, value] of Object.entries(attrs)) {
+					source.setAttribute(key, value);
+				}
+				return source;
+			}),
+			img,
+		);
+		this._sourcesKey = sourcesKey;
+		return true;
+	}
+
+	_removeImage() {
+		releaseLoadSlot(this);
+		this._forcedLoad = false;
+		const img = this.shadowRoot.querySelector('img');
+		if (!img) {
+			if (this._loadState === 'queued') {
+				this._setLoadState('idle');
+			}
+			return;
+		}
+		img.remove();
+		const picture = this.shadowRoot.querySelector('picture');
+		if (picture) {
+			picture.remove();
+		}
+		this._sourcesKey = null;
+		this._resetRetries();
+		this._setLoadState('idle');
+	}
 }
 
 definePropertyReflections(LazyImgElement);
@@ -0,0 +1,419 @@
+/**
+ * Low-quality image placeholders for lazy-img
+ *
+ * Everything is decoded locally, with no network access and no
+ * dependencies: BlurHash and ThumbHash strings are decoded to pixels and
+ * re-encoded as a tiny BMP data URI, so placeholders work the same offline.
+ */
+
+const BASE83_DIGITS =
+	'0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+const CSS_COLOR_PATTERN =
+	/^(?:#(?:[\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})|(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch|color)\(.*\))$/i;
+
+// Named colors are matched by name rather than with CSS.supports(), which
+// doesn't exist outside the browser
+const CSS_COLOR_NAMES = new Set(
+	(
+		'aliceblue antiquewhite aqua aquamarine azure beige bisque black ' +
+		'blanchedalmond blue blueviolet brown burlywood cadetblue ' +
+		'chartreuse chocolate coral cornflowerblue cornsilk crimson cyan ' +
+		'darkblue darkcyan darkgoldenrod darkgray darkgreen darkgrey ' +
+		'darkkhaki darkmagenta darkolivegreen darkorange darkorchid darkred ' +
+		'darksalmon darkseagreen darkslateblue darkslategray darkslategrey ' +
+		'darkturquoise darkviolet deeppink deepskyblue dimgray dimgrey ' +
+		'dodgerblue firebrick floralwhite forestgreen fuchsia gainsboro ' +
+		'ghostwhite gold goldenrod gray green greenyellow grey honeydew ' +
+		'hotpink indianred indigo ivory khaki lavender lavenderblush ' +
+		'lawngreen lemonchiffon lightblue lightcoral lightcyan ' +
+		'lightgoldenrodyellow lightgray lightgreen lightgrey lightpink ' +
+		'lightsalmon lightseagreen lightskyblue lightslategray ' +
+		'lightslategrey lightsteelblue lightyellow lime limegreen linen ' +
+		'magenta maroon mediumaquamarine mediumblue mediumorchid ' +
+		'mediumpurple mediumseagreen mediumslateblue mediumspringgreen ' +
+		'mediumturquoise mediumvioletred midnightblue mintcream mistyrose ' +
+		'moccasin navajowhite navy oldlace olive olivedrab orange orangered ' +
+		'orchid palegoldenrod palegreen paleturquoise palevioletred ' +
+		'papayawhip peachpuff peru pink plum powderblue purple ' +
+		'rebeccapurple red rosybrown royalblue saddlebrown salmon ' +
+		'sandybrown seagreen seashell sienna silver skyblue slateblue ' +
+		'slategray slategrey snow springgreen steelblue tan teal thistle ' +
+		'tomato turquoise violet wheat white whitesmoke yellow yellowgreen ' +
+		'transparent currentcolor'
+	).split(' '),
+);
+
+// BlurHash carries no aspect ratio, so it is decoded to a small square and
+// stretched to fit the reserved box
+const BLURHASH_SIZE = 32;
+
+function decodeBase83(text) {
+	let value = 0;
+	for (const char of text) {
+		const digit = BASE83_DIGITS.indexOf(char);
+		if (digit === -1) {
+			return NaN;
+		}
+		value = value * 83 + digit;
+	}
+	return value;
+}
+
+function sRGBToLinear(value) {
+	const v = value / 255;
+	return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+}
+
+function linearToSRGB(value) {
+	const v = Math.max(0, Math.min(1, value));
+	return v <= 0.0031308
+		? Math.trunc(v * 12.92 * 255 + 0.5)
+		: Math.trunc((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+}
+
+function signPow(value, exponent) {
+	return Math.sign(value) * Math.abs(value) ** exponent;
+}
+
+/**
+ * Checks whether a string is a structurally valid BlurHash
+ * @param {string} hash
+ * @returns {boolean}
+ */
+export function isBlurHash(hash) {
+	if (typeof hash !== 'string' || hash.length < 6) {
+		return false;
+	}
+	const sizeFlag = decodeBase83(hash[0]);
+	const numY = Math.floor(sizeFlag / 9) + 1;
+	const numX = (sizeFlag % 9) + 1;
+	return !isNaN(decodeBase83(hash)) && hash.length === 4 + 2 * numX * numY;
+}
+
+/**
+ * Decodes a BlurHash into RGBA pixels
+ * @param {string} hash - The BlurHash string
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {Uint8ClampedArray} RGBA pixel data
+ */
+export function decodeBlurHash(hash, width, height) {
+	if (!isBlurHash(hash)) {
+		throw new Error(`invalid BlurHash "${hash}"`);
+	}
+
+	const sizeFlag = decodeBase83(hash[0]);
+	const numY = Math.floor(sizeFlag / 9) + 1;
+	const numX = (sizeFlag % 9) + 1;
+	const maximumValue = (decodeBase83(hash[1]) + 1) / 166;
+
+	const colors = [];
+	for (let i = 0; i < numX * numY; i += 1) {
+		if (i === 0) {
+			const value = decodeBase83(hash.substring(2, 6));
+			colors.push([
+				sRGBToLinear(value >> 16),
+				sRGBToLinear((value >> 8) & 255),
+				sRGBToLinear(value & 255),
+			]);
+		} else {
+			const value = decodeBase83(hash.substring(4 + i * 2, 6 + i * 2));
+			colors.push([
+				signPow((Math.floor(value / (19 * 19)) - 9) / 9, 2) *
+					maximumValue,
+				signPow(((Math.floor(value / 19) % 19) - 9) / 9, 2) *
+					maximumValue,
+				signPow(((value % 19) - 9) / 9, 2) * maximumValue,
+			]);
+		}
+	}
+
+	const pixels = new Uint8ClampedArray(width * height * 4);
+	for (let y = 0; y < height; y += 1) {
+		for (let x = 0; x < width; x += 1) {
+			let r = 0;
+			let g = 0;
+			let b = 0;
+			for (let j = 0; j < numY; j += 1) {
+				const basisY = Math.cos((Math.PI * y * j) / height);
+				for (let i = 0; i < numX; i += 1) {
+					const basis = Math.cos((Math.PI * x * i) / width) * basisY;
+					const color = colors[i + j * numX];
+					r += color[0] * basis;
+					g += color[1] * basis;
+					b += color[2] * basis;
+				}
+			}
+			const index = 4 * (x + y * width);
+			pixels[index] = linearToSRGB(r);
+			pixels[index + 1] = linearToSRGB(g);
+			pixels[index + 2] = linearToSRGB(b);
+			pixels[index + 3] = 255;
+		}
+	}
+	return pixels;
+}
+
+/**
+ * Converts a base64 (or base64url) ThumbHash string into bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(text) {
+	const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+	return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Decodes a ThumbHash into RGBA pixels, following the reference
+ * implementation (https://github.com/evanw/thumbhash)
+ * @param {Uint8Array} hash - The ThumbHash bytes
+ * @returns {{ width: number, height: number, pixels: Uint8ClampedArray, aspectRatio: number }}
+ */
+export function decodeThumbHash(hash) {
+	if (hash.length < 5) {
+		throw new Error('invalid ThumbHash');
+	}
+
+	const header24 = hash[0] | (hash[1] << 8) | (hash[2] << 16);
+	const header16 = hash[3] | (hash[4] << 8);
+	const lDC = (header24 & 63) / 63;
+	const pDC = ((header24 >> 6) & 63) / 31.5 - 1;
+	const qDC = ((header24 >> 12) & 63) / 31.5 - 1;
+	const lScale = ((header24 >> 18) & 31) / 31;
+	const hasAlpha = header24 >> 23;
+	const pScale = ((header16 >> 3) & 63) / 63;
+	const qScale = ((header16 >> 9) & 63) / 63;
+	const isLandscape = header16 >> 15;
+	const lx = Math.max(3, isLandscape ? (hasAlpha ? 5 : 7) : header16 & 7);
+	const ly = Math.max(3, isLandscape ? header16 & 7 : hasAlpha ? 5 : 7);
+	const aDC = hasAlpha ? (hash[5] & 15) / 15 : 1;
+	const aScale = (hash[5] >> 4) / 15;
+
+	// Read the varying factors, boosting saturation to compensate for
+	// quantization
+	const acStart = hasAlpha ? 6 : 5;
+	let acIndex = 0;
+	const decodeChannel = (nx, ny, scale) => {
+		const ac = [];
+		for (let cy = 0; cy < ny; cy += 1) {
+			for (let cx = cy ? 0 : 1; cx * ny < nx * (ny - cy); cx += 1) {
+				const byte = hash[acStart + (acIndex >> 1)];
+				const nibble = (byte >> ((acIndex & 1) << 2)) & 15;
+				ac.push((nibble / 7.5 - 1) * scale);
+				acIndex += 1;
+			}
+		}
+		return ac;
+	};
+	const lAC = decodeChannel(lx, ly, lScale);
+	const pAC = decodeChannel(3, 3, pScale * 1.25);
+	const qAC = decodeChannel(3, 3, qScale * 1.25);
+	const aAC = hasAlpha ? decodeChannel(5, 5, aScale) : null;
+
+	const aspectRatio = thumbHashAspectRatio(hash);
+	const width = Math.round(aspectRatio > 1 ? 32 : 32 * aspectRatio);
+	const height = Math.round(aspectRatio > 1 ? 32 / aspectRatio : 32);
+	const pixels = new Uint8ClampedArray(width * height * 4);
+	const fx = [];
+	const fy = [];
+	const fxCount = Math.max(lx, hasAlpha ? 5 : 3);
+	const fyCount = Math.max(ly, hasAlpha ? 5 : 3);
+
+	for (let y = 0, i = 0; y < height; y += 1) {
+		for (let x = 0; x < width; x += 1, i += 4) {
+			let l = lDC;
+			let p = pDC;
+			let q = qDC;
+			let a = aDC;
+
+			for (let cx = 0; cx < fxCount; cx += 1) {
+				fx[cx] = Math.cos((Math.PI / width) * (x + 0.5) * cx);
+			}
+			for (let cy = 0; cy < fyCount; cy += 1) {
+				fy[cy] = Math.cos((Math.PI / height) * (y + 0.5) * cy);
+			}
+
+			let lIndex = 0;
+			for (let cy = 0; cy < ly; cy += 1) {
+				const fy2 = fy[cy] * 2;
+				for (let cx = cy ? 0 : 1; cx * ly < lx * (ly - cy); cx += 1) {
+					l += lAC[lIndex] * fx[cx] * fy2;
+					lIndex += 1;
+				}
+			}
+
+			for (let cy = 0, j = 0; cy < 3; cy += 1) {
+				const fy2 = fy[cy] * 2;
+				for (let cx = cy ? 0 : 1; cx < 3 - cy; cx += 1, j += 1) {
+					const f = fx[cx] * fy2;
+					p += pAC[j] * f;
+					q += qAC[j] * f;
+				}
+			}
+
+			if (aAC) {
+				for (let cy = 0, j = 0; cy < 5; cy += 1) {
+					const fy2 = fy[cy] * 2;
+					for (let cx = cy ? 0 : 1; cx < 5 - cy; cx += 1, j += 1) {
+						a += aAC[j] * fx[cx] * fy2;
+					}
+				}
+			}
+
+			const b = l - (2 / 3) * p;
+			const r = (3 * l - b + q) / 2;
+			const g = r - q;
+			// Truncate like the reference's Uint8Array (the clamped array
+			// would round)
+			pixels[i] = Math.trunc(255 * Math.min(1, r));
+			pixels[i + 1] = Math.trunc(255 * Math.min(1, g));
+			pixels[i + 2] = Math.trunc(255 * Math.min(1, b));
+			pixels[i + 3] = Math.trunc(255 * Math.min(1, a));
+		}
+	}
+
+	return { width, height, pixels, aspectRatio };
+}
+
+function thumbHashAspectRatio(hash) {
+	const header = hash[3];
+	const hasAlpha = hash[2] & 0x80;
+	const isLandscape = hash[4] & 0x80;
+	const lx = isLandscape ? (hasAlpha ? 5 : 7) : header & 7;
+	const ly = isLandscape ? header & 7 : hasAlpha ? 5 : 7;
+	return lx / ly;
+}
+
+/**
+ * Encodes RGBA pixels as a 32-bit BMP data URI. BMP needs no compression,
+ * so it can be produced without a canvas (and outside the browser)
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data
+ * @returns {string} data URI
+ */
+export function pixelsToDataURI(width, height, pixels) {
+	const headerSize = 14 + 108; // File header + BITMAPV4HEADER
+	const imageSize = width * height * 4;
+	const bytes = new Uint8Array(headerSize + imageSize);
+	const view = new DataView(bytes.buffer);
+
+	// File header
+	bytes[0] = 0x42; // B
+	bytes[1] = 0x4d; // M
+	view.setUint32(2, bytes.length, true);
+	view.setUint32(10, headerSize, true);
+
+	// BITMAPV4HEADER with explicit channel masks so alpha is honored
+	view.setUint32(14, 108, true);
+	view.setInt32(18, width, true);
+	view.setInt32(22, -height, true); // Negative height = top-down rows
+	view.setUint16(26, 1, true);
+	view.setUint16(28, 32, true);
+	view.setUint32(30, 3, true); // BI_BITFIELDS
+	view.setUint32(34, imageSize, true);
+	view.setUint32(54, 0x00ff0000, true);
+	view.setUint32(58, 0x0000ff00, true);
+	view.setUint32(62, 0x000000ff, true);
+	view.setUint32(66, 0xff000000, true);
+	view.setUint32(70, 0x73524742, true); // LCS_sRGB
+
+	for (let i = 0; i < width * height; i += 1) {
+		const offset = headerSize + i * 4;
+		bytes[offset] = pixels[i * 4 + 2];
+		bytes[offset + 1] = pixels[i * 4 + 1];
+		bytes[offset + 2] = pixels[i * 4];
+		bytes[offset + 3] = pixels[i * 4 + 3];
+	}
+
+	let binary = '';
+	for (const byte of bytes) {
+		binary += String.fromCharCode(byte);
+	}
+	return `data:image/bmp;base64,${btoa(binary)}`;
+}
+
+function isCSSColor(value) {
+	if (CSS_COLOR_PATTERN.test(value)) {
+		return true;
+	}
+	return CSS_COLOR_NAMES.has(value.toLowerCase());
+}
+
+/**
+ * Parses a placeholder attribute value. Supports:
+ * - "data:image/…" → an inline image used as-is
+ * - "thumbhash:<base64>" → a ThumbHash
+ * - "blurhash:<hash>" or a bare BlurHash string
+ * - Any CSS color (e.g., "#3a5f7d", "rgb(58 95 125)" or "teal") → a dominant color
+ * @param {string} value - The placeholder attribute value
+ * @returns {Object|null} `{ color }` or `{ image, aspectRatio }`, or null if invalid
+ */
+export function parsePlaceholder(value) {
+	const trimmed = value ? value.trim() : '';
+	if (!trimmed) {
+		return null;
+	}
+
+	try {
+		if (/^data:image\//i.test(trimmed)) {
+			return { image: trimmed, aspectRatio: null };
+		}
+
+		if (/^thumbhash:/i.test(trimmed)) {
+			const { width, height, pixels, aspectRatio } = decodeThumbHash(
+				base64ToBytes(trimmed.slice('thumbhash:'.length)),
+			);
+			return {
+				image: pixelsToDataURI(width, height, pixels),
+				aspectRatio,
+			};
+		}
+
+		if (isCSSColor(trimmed)) {
+			return { color: trimmed };
+		}
+
+		const hash = trimmed.replace(/^blurhash:/i, '');
+		if (isBlurHash(hash)) {
+			return {
+				image: pixelsToDataURI(
+					BLURHASH_SIZE,
+					BLURHASH_SIZE,
+					decodeBlurHash(hash, BLURHASH_SIZE, BLURHASH_SIZE),
+				),
+				aspectRatio: null,
+			};
+		}
+	} catch {
+		// Fall through to the warning below
+	}
+
+	console.warn(
+		`lazy-img: invalid placeholder "${value}", expected a BlurHash, "thumbhash:<base64>", a data URI, or a CSS color`,
+	);
+	return null;
+}
+
+/**
+ * Inline styles for a parsed placeholder. A known image size reserves the
+ * image's box, otherwise a ThumbHash's own aspect ratio does
+ * @param {Object} parsed - The result of parsePlaceholder()
+ * @param {Object|null} size - The image's { width, height }, if known
+ * @returns {{backgroundColor: string, backgroundImage: string, aspectRatio: string}}
+ */
+export function getPlaceholderStyle(parsed, size) {
+	let aspectRatio = parsed.aspectRatio ? String(parsed.aspectRatio) : '';
+	if (size) {
+		aspectRatio = `${size.width} / ${size.height}`;
+	}
+	return {
+		backgroundColor: parsed.color || '',
+		backgroundImage: parsed.image
+			? `url("${parsed.image.replace(/"/g, '%22')}")`
+			: '',
+		aspectRatio,
+	};
+}
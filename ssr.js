@@ -0,0 +1,184 @@
+/**
+ * Server-side rendering for <lazy-img>
+ *
+ * Renders the element's markup with a declarative shadow root, so the
+ * placeholder and (when no loading conditions apply) the image itself show
+ * before any JavaScript runs. The element adopts this shadow root when it
+ * upgrades in the browser. Safe to import in Node.
+ */
+
+import { LazyImgElement } from './lazy-img.js';
+import { getPlaceholderStyle, parsePlaceholder } from './placeholder.js';
+
+/**
+ * Normalizes attribute values: true renders an empty (boolean) attribute,
+ * while false, null, and undefined leave the attribute out
+ * @param {Object} attributes - Attribute name-value pairs
+ * @returns {Object} Attribute name-string pairs
+ */
+function normalizeAttributes(attributes) {
+	const normalized = {};
+	for (const [name, value] of Object.entries(attributes)) {
+		if (value === true) {
+			normalized[name] = '';
+		} else if (value !== false && value !== null && value !== undefined) {
+			normalized[name] = String(value);
+		}
+	}
+	return normalized;
+}
+
+function toCSSText(style) {
+	return Object.entries(style)
+		.filter(([, value]) => value)
+		.map(
+			([property, value]) =>
+				`${property.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)}: ${value}`,
+		)
+		.join('; ');
+}
+
+function renderPlaceholder(attrs) {
+	const parsed = parsePlaceholder(attrs.placeholder ?? null);
+	if (!parsed) {
+		return '';
+	}
+	const width = parseFloat(attrs.width);
+	const height = parseFloat(attrs.height);
+	const size = width > 0 && height > 0 ? { width, height } : null;
+	return `<div ${LazyImgElement._buildAttributeString({
+		class: 'placeholder',
+		part: 'placeholder',
+		'aria-hidden': 'true',
+		style: toCSSText(getPlaceholderStyle(parsed, size)),
+	})}></div>`;
+}
+
+// Holds the image's box open until it loads, as _renderReservedSpace()
+// does in the browser
+function renderReservedSpace(attrs) {
+	const width = parseFloat(attrs.width);
+	const height = parseFloat(attrs.height);
+	if (!(width > 0 && height > 0)) {
+		return '';
+	}
+	return `<div ${LazyImgElement._buildAttributeString({
+		class: 'reserved',
+		'aria-hidden': 'true',
+		style: toCSSText({
+			inlineSize: `${width}px`,
+			aspectRatio: `${width} / ${height}`,
+		}),
+	})}></div>`;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" };
+
+/**
+ * Reads the attributes of the <source> elements in light DOM HTML, so the
+ * image can be rendered inside the same <picture> the element builds
+ * @param {string} children - Light DOM HTML
+ * @returns {Array<Object>} One attribute object per <source>
+ */
+function parseSourceElements(children) {
+	return Array.from(children.matchAll(/<source\b([^>]*)>/gi), ([, html]) => {
+		const parsed = {};
+		for (const [, name, ...values] of html.matchAll(
+			/([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g,
+		)) {
+			parsed[name.toLowerCase()] = (
+				values.find((value) => value !== undefined) ?? ''
+			).replace(
+				/&(amp|lt|gt|quot|#39);/g,
+				(_, entity) => ENTITIES[entity],
+			);
+		}
+		// Only the attributes the element copies into its <picture>
+		const attrs = {};
+		for (const attr of LazyImgElement.PICTURE_SOURCE_ATTRIBUTES) {
+			if (parsed[attr] !== undefined) {
+				attrs[attr] = parsed[attr];
+			}
+		}
+		return attrs;
+	});
+}
+
+function renderImage(attrs, children) {
+	const imgAttrs = {};
+	for (const attr of LazyImgElement.IMG_ATTRIBUTES) {
+		if (attrs[attr] !== undefined) {
+			imgAttrs[attr] = attrs[attr];
+		} else if (attr === 'alt') {
+			// Always include alt attribute for accessibility
+			imgAttrs.alt = '';
+		}
+	}
+	const img = `<img ${LazyImgElement._buildAttributeString(imgAttrs)}>`;
+
+	// Like the element, pick among <source> children with a <picture>
+	const sources = parseSourceElements(children);
+	if (!sources.length) {
+		return img;
+	}
+	return `<picture>${sources
+		.map(
+			(source) =>
+				`<source ${LazyImgElement._buildAttributeString(source)}>`,
+		)
+		.join('')}${img}</picture>`;
+}
+
+/**
+ * Renders <lazy-img> markup with a declarative shadow root
+ * @param {Object} [attributes={}] - The element's attributes (e.g., { src, alt, 'min-inline-size': 600 })
+ * @param {string} [children=''] - Light DOM HTML, such as <source> elements
+ * @returns {string} HTML for the element
+ */
+export function renderLazyImg(attributes = {}, children = '') {
+	const attrs = normalizeAttributes(attributes);
+	const hostAttributes = LazyImgElement._buildAttributeString(attrs);
+
+	let shadow = '';
+	if (attrs.src || attrs.sources) {
+		const placeholder = renderPlaceholder(attrs);
+		shadow = `<style>${LazyImgElement.STYLES}</style>${placeholder}`;
+		const hasConditions = LazyImgElement._attributesHaveLoadConditions(
+			(name) => attrs[name] ?? null,
+		);
+		if (!hasConditions) {
+			shadow += renderImage(attrs, children);
+		} else if (!placeholder) {
+			shadow += renderReservedSpace(attrs);
+		}
+	}
+
+	return `<lazy-img${hostAttributes ? ` ${hostAttributes}` : ''}><template shadowrootmode="open">${shadow}</template>${children}</lazy-img>`;
+}
+
+/**
+ * Renders <link rel="preload"> hints for the document head, so images that
+ * have `preload` set and no loading conditions start fetching while the page
+ * is parsed. Elements that share an image share one hint, and the elements
+ * don't hint those images again once they upgrade
+ * @param {Array<Object>} attributeSets - Each element's attributes, as passed to renderLazyImg()
+ * @returns {string} HTML for the document head
+ */
+export function renderPreloadLinks(attributeSets) {
+	const links = new Set();
+	for (const attributes of attributeSets) {
+		const attrs = normalizeAttributes(attributes);
+		const hasConditions = LazyImgElement._attributesHaveLoadConditions(
+			(name) => attrs[name] ?? null,
+		);
+		if (attrs.preload === undefined || !attrs.src || hasConditions) {
+			continue;
+		}
+		links.add(
+			`<link ${LazyImgElement._buildAttributeString(
+				LazyImgElement._getHintAttributes('preload', attrs),
+			)}>`,
+		);
+	}
+	return [...links].join('');
+}
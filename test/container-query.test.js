@@ -0,0 +1,141 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { parseContainerQuery } from '../container-query.js';
+
+const SIZE = { inlineSize: 600, blockSize: 400, em: 16, rem: 10 };
+
+function matches(query, size = SIZE) {
+	return parseContainerQuery(query).test(size);
+}
+
+describe('container-query', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+	});
+
+	describe('features', () => {
+		it('supports min- and max- prefixed features', () => {
+			expect(matches('(min-width: 500px)')).toBe(true);
+			expect(matches('(max-width: 500px)')).toBe(false);
+			expect(matches('(min-block-size: 400px)')).toBe(true);
+			expect(matches('(max-height: 399px)')).toBe(false);
+		});
+
+		it('treats width as inline size and height as block size', () => {
+			expect(matches('(width: 600px)')).toBe(true);
+			expect(matches('(inline-size: 600px)')).toBe(true);
+			expect(matches('(height: 400px)')).toBe(true);
+			expect(matches('(block-size: 400px)')).toBe(true);
+		});
+
+		it('supports range syntax in either direction', () => {
+			expect(matches('(width > 500px)')).toBe(true);
+			expect(matches('(500px > width)')).toBe(false);
+			expect(matches('(500px <= inline-size < 700px)')).toBe(true);
+			expect(matches('(700px > width >= 650px)')).toBe(false);
+		});
+
+		it('supports aspect ratios and orientation', () => {
+			expect(matches('(min-aspect-ratio: 3/2)')).toBe(true);
+			expect(matches('(aspect-ratio > 1.6)')).toBe(false);
+			expect(matches('(orientation: landscape)')).toBe(true);
+			expect(
+				matches('(orientation: portrait)', {
+					...SIZE,
+					inlineSize: 400,
+				}),
+			).toBe(true);
+		});
+
+		it('evaluates features without a value in a boolean context', () => {
+			expect(matches('(width)')).toBe(true);
+			expect(matches('(height)', { ...SIZE, blockSize: 0 })).toBe(false);
+		});
+	});
+
+	describe('units', () => {
+		it('resolves em and rem against the given font sizes', () => {
+			expect(matches('(width >= 37.5em)')).toBe(true);
+			expect(matches('(width > 60rem)')).toBe(false);
+			expect(parseContainerQuery('(width > 1em)').usesFontUnits).toBe(
+				true,
+			);
+			expect(parseContainerQuery('(width > 1px)').usesFontUnits).toBe(
+				false,
+			);
+		});
+
+		it('accepts a unitless zero', () => {
+			expect(matches('(width > 0)')).toBe(true);
+		});
+	});
+
+	describe('logic', () => {
+		it('combines conditions with and, or, and not', () => {
+			expect(matches('(min-width: 500px) and (max-width: 700px)')).toBe(
+				true,
+			);
+			expect(matches('(width < 100px) or (height > 300px)')).toBe(true);
+			expect(matches('not (orientation: landscape)')).toBe(false);
+		});
+
+		it('supports nested groups', () => {
+			expect(
+				matches(
+					'((width > 100px) and (height > 900px)) or (not (aspect-ratio < 1))',
+				),
+			).toBe(true);
+		});
+	});
+
+	describe('errors', () => {
+		it('returns null for empty values', () => {
+			expect(parseContainerQuery(null)).toBeNull();
+			expect(parseContainerQuery('  ')).toBeNull();
+		});
+
+		it.each([
+			['(min-width: 400)', '"400" needs a unit (px, em, or rem)'],
+			[
+				'(width > 4vw)',
+				'unsupported unit "vw" in "4vw", expected px, em, or rem',
+			],
+			['(colour: red)', 'unknown feature "colour"'],
+			['(min-width: 400px', 'expected ")", got the end of the query'],
+			['min-width: 400px', 'expected "(", got "min-width"'],
+			[
+				'(width > 1px) and (height > 1px) or (width < 9px)',
+				'"and" and "or" can\'t be mixed without parentheses',
+			],
+			[
+				'not (width > 1px) and (height > 1px)',
+				'"not" can\'t be combined with "and" without parentheses',
+			],
+			[
+				'(min-orientation: portrait)',
+				'"orientation" can\'t take a "min-" prefix',
+			],
+			[
+				'(orientation: square)',
+				'"orientation" must be "portrait" or "landscape"',
+			],
+			[
+				'(aspect-ratio: 16/0)',
+				'expected a ratio like 16/9 for "aspect-ratio"',
+			],
+			[
+				'(900px < width > 400px)',
+				'expected a range like "(400px <= width < 900px)"',
+			],
+			['(width > 400px) ,', 'unexpected "," at position 17'],
+		])('reports %s', (query, reason) => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+
+			expect(parseContainerQuery(query)).toBeNull();
+			expect(consoleSpy).toHaveBeenCalledWith(
+				`lazy-img: invalid container-query "${query}": ${reason}`,
+			);
+		});
+	});
+});
@@ -1,6 +1,23 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { LazyImgElement } from '../lazy-img.js';
 
+// happy-dom never fetches images, so tests settle the inner <img> by hand
+function fireImageEvent(element, type) {
+	const img = element.shadowRoot.querySelector('img');
+	img.dispatchEvent(new Event(type));
+	return img;
+}
+
+// Connects a new element, with its attributes set in order beforehand
+function createLazyImg(attributes = {}, parent = document.body) {
+	const el = document.createElement('lazy-img');
+	for (const [name, value] of Object.entries(attributes)) {
+		el.setAttribute(name, value);
+	}
+	parent.appendChild(el);
+	return el;
+}
+
 describe('LazyImgElement', () => {
 	let element;
 
@@ -334,501 +351,3337 @@ describe('LazyImgElement', () => {
 			// Cleanup
 			document.documentElement.style.removeProperty('--lazy-img-mq');
 		});
-	});
 
-	describe('Events', () => {
-		it('should dispatch lazy-img:loaded event when image loads', () => {
-			return new Promise((resolve) => {
-				element.addEventListener('lazy-img:loaded', (event) => {
-					expect(event.detail.src).toBe('test.jpg');
-					expect(event.bubbles).toBe(true);
-					expect(event.composed).toBe(true);
-					resolve();
-				});
+		it('should read --lazy-img-mq from the nearest ancestor', () => {
+			document.documentElement.style.setProperty(
+				'--lazy-img-mq',
+				'small',
+			);
+			const wrapper = document.createElement('div');
+			wrapper.style.setProperty('--lazy-img-mq', 'large');
+			document.body.appendChild(wrapper);
+			wrapper.appendChild(element);
 
-				element.setAttribute('src', 'test.jpg');
-				// Trigger load manually since no conditions
-				element._loadImage();
-			});
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('named-breakpoints', 'medium, large');
+			element._checkAndLoad();
+
+			expect(element._loaded).toBe(true);
+
+			wrapper.remove();
+			document.body.appendChild(element);
+			document.documentElement.style.removeProperty('--lazy-img-mq');
 		});
-	});
 
-	describe('Lifecycle', () => {
-		it('should clean up ResizeObserver on disconnect', () => {
+		it('should re-check once per frame when --lazy-img-mq transitions', () => {
 			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('min-inline-size', '500');
+			element.setAttribute('named-breakpoints', 'medium, large');
+			vi.spyOn(console, 'warn').mockImplementation(() => {});
+			const rafSpy = vi
+				.spyOn(window, 'requestAnimationFrame')
+				.mockImplementation(() => 1);
+			document.documentElement.style.setProperty(
+				'--lazy-img-mq',
+				'medium',
+			);
 
-			const callback = element._resizeCallback;
-			const target = element._observedTarget;
-			expect(callback).toBeTruthy();
-			expect(target).toBeTruthy();
+			const transition = (propertyName) => {
+				const event = new Event('transitionrun');
+				event.propertyName = propertyName;
+				element.shadowRoot
+					.querySelector('.breakpoint-watcher')
+					.dispatchEvent(event);
+			};
+			transition('opacity');
+			expect(rafSpy).not.toHaveBeenCalled();
+
+			transition('--lazy-img-mq');
+			transition('--lazy-img-mq');
+			expect(rafSpy).toHaveBeenCalledTimes(1);
+			expect(element._loaded).toBe(false);
 
-			element.disconnectedCallback();
+			rafSpy.mock.calls[0][0]();
+			expect(element._loaded).toBe(true);
 
-			expect(element._resizeCallback).toBeNull();
-			expect(element._observedTarget).toBeNull();
+			document.documentElement.style.removeProperty('--lazy-img-mq');
 		});
 
-		it('should share ResizeObserver between multiple instances with same parent', () => {
-			// Create a parent container
-			const parent = document.createElement('div');
-			document.body.appendChild(parent);
+		it('should watch --lazy-img-mq from an element author styles cannot reach', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('named-breakpoints', 'medium');
+			const rafSpy = vi
+				.spyOn(window, 'requestAnimationFrame')
+				.mockImplementation(() => 1);
 
-			// Create two lazy-img elements with the same parent
-			const element1 = document.createElement('lazy-img');
-			const element2 = document.createElement('lazy-img');
+			const watcher = element.shadowRoot.querySelector(
+				'.breakpoint-watcher',
+			);
+			expect(watcher.hasAttribute('part')).toBe(false);
+			expect(LazyImgElement.STYLES).not.toMatch(
+				/:host\s*\{[^}]*transition/,
+			);
 
-			parent.appendChild(element1);
-			parent.appendChild(element2);
+			// Transitions of the host itself, such as an author's, are ignored
+			const event = new Event('transitionrun', { bubbles: true });
+			event.propertyName = '--lazy-img-mq';
+			element.dispatchEvent(event);
+			expect(rafSpy).not.toHaveBeenCalled();
 
-			element1.setAttribute('src', 'test1.jpg');
-			element1.setAttribute('min-inline-size', '400');
+			element.removeAttribute('named-breakpoints');
+			expect(
+				element.shadowRoot.querySelector('.breakpoint-watcher'),
+			).toBe(null);
+		});
 
-			element2.setAttribute('src', 'test2.jpg');
-			element2.setAttribute('min-inline-size', '500');
+		it('should stop watching --lazy-img-mq when disconnected', () => {
+			element.setAttribute('named-breakpoints', 'medium');
+			expect(element._breakpointCallback).toBeTruthy();
 
-			// Both elements should observe the same target (parent)
-			expect(element1._observedTarget).toBe(parent);
-			expect(element2._observedTarget).toBe(parent);
+			document.body.removeChild(element);
+			expect(element._breakpointCallback).toBeNull();
+			document.body.appendChild(element);
+		});
+	});
 
-			// Both should have their own callbacks registered
-			expect(element1._resizeCallback).toBeTruthy();
-			expect(element2._resizeCallback).toBeTruthy();
-			expect(element1._resizeCallback).not.toBe(element2._resizeCallback);
+	describe('Imperative API', () => {
+		beforeEach(() => {
+			element.setAttribute('min-inline-size', '800');
+			element.setAttribute('src', 'test.jpg');
+		});
 
-			// Clean up
-			element1.disconnectedCallback();
-			element2.disconnectedCallback();
-			document.body.removeChild(parent);
+		it('should only load qualifying images without force', () => {
+			element._currentSize = 400;
+			element.load();
+			expect(element._loaded).toBe(false);
+
+			element._currentSize = 900;
+			element.load();
+			expect(element._loaded).toBe(true);
 		});
 
-		it('should automatically clean up shared observer when all instances disconnect', async () => {
-			// Create a parent container
-			const parent = document.createElement('div');
-			document.body.appendChild(parent);
+		it('should bypass the conditions with force', () => {
+			element._currentSize = 400;
+			element.load({ force: true });
 
-			// Create two lazy-img elements with the same parent
-			const element1 = document.createElement('lazy-img');
-			const element2 = document.createElement('lazy-img');
+			expect(element._loaded).toBe(true);
+			expect(element.shadowRoot.querySelector('img')).toBeTruthy();
+		});
 
-			parent.appendChild(element1);
-			parent.appendChild(element2);
+		it('should resolve ready once the image loads and decodes', async () => {
+			const decodeSpy = vi
+				.spyOn(HTMLImageElement.prototype, 'decode')
+				.mockResolvedValue();
+			const onReady = vi.fn();
 
-			element1.setAttribute('src', 'test1.jpg');
-			element1.setAttribute('min-inline-size', '400');
+			element.load({ force: true }).then(onReady);
+			await Promise.resolve();
+			expect(onReady).not.toHaveBeenCalled();
 
-			element2.setAttribute('src', 'test2.jpg');
-			element2.setAttribute('min-inline-size', '500');
+			fireImageEvent(element, 'load');
+			await element.ready;
 
-			// Verify both are registered
-			expect(element1._observedTarget).toBe(parent);
-			expect(element2._observedTarget).toBe(parent);
+			expect(onReady).toHaveBeenCalled();
+			expect(decodeSpy).toHaveBeenCalled();
+		});
 
-			// Disconnect first element - shared observer should still exist
-			element1.disconnectedCallback();
-			expect(element1._observedTarget).toBeNull();
-			expect(element2._observedTarget).toBe(parent); // Second still connected
+		it('should resolve ready immediately when already loaded', async () => {
+			element.load({ force: true });
+			fireImageEvent(element, 'load');
 
-			// Disconnect second element - shared observer should be cleaned up automatically
-			element2.disconnectedCallback();
-			expect(element2._observedTarget).toBeNull();
+			await expect(element.ready).resolves.toBeUndefined();
+		});
 
-			// Clean up DOM
-			document.body.removeChild(parent);
+		it('should reject ready when the image fails', async () => {
+			const ready = element.load({ force: true });
+			fireImageEvent(element, 'error');
+
+			await expect(ready).rejects.toThrow('failed to load');
 		});
 
-		it('should clear throttle timeout on disconnect', () => {
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('min-inline-size', '500');
+		it('should reject decode() when decoding fails', async () => {
+			vi.spyOn(HTMLImageElement.prototype, 'decode').mockRejectedValue(
+				new Error('EncodingError'),
+			);
+			element.load({ force: true });
+			fireImageEvent(element, 'load');
 
-			// Set a throttle timeout
-			element._throttleTimeout = setTimeout(() => {}, 1000);
-			const timeoutId = element._throttleTimeout;
+			await expect(element.ready).resolves.toBeUndefined();
+			await expect(element.decode()).rejects.toThrow('EncodingError');
+		});
 
-			element.disconnectedCallback();
+		it('should return to the unloaded state on reset', () => {
+			element.load({ force: true });
+			fireImageEvent(element, 'load');
+			const ready = element.ready;
 
-			expect(element._throttleTimeout).toBeNull();
+			element.reset();
+
+			expect(element._loaded).toBe(false);
+			expect(element.loadState).toBe('idle');
+			expect(element.hasAttribute('loaded')).toBe(false);
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
+			expect(element.ready).not.toBe(ready);
 		});
-	});
 
-	describe('HTML escaping', () => {
-		it('should escape HTML in src attribute', () => {
-			element.setAttribute(
-				'src',
-				'test.jpg"><script>alert("xss")</script>',
-			);
+		it('should re-arm the observers on reset', () => {
+			const cleanupSpy = vi.spyOn(element, '_cleanupResizeWatcher');
+			const setupSpy = vi.spyOn(element, '_setupResizeWatcher');
+
+			element.reset();
 
-			const shadowHTML = element.shadowRoot.innerHTML;
-			expect(shadowHTML).not.toContain('<script>');
+			expect(cleanupSpy).toHaveBeenCalled();
+			expect(setupSpy).toHaveBeenCalled();
 		});
 
-		it('should escape HTML in alt attribute', () => {
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('alt', '<script>alert("xss")</script>');
+		it('should re-observe the view after reset in view mode', () => {
+			document.body.removeChild(element);
+			element = createLazyImg({ query: 'view', src: 'test.jpg' });
+			element._intersectionCallback({
+				isIntersecting: true,
+				target: element,
+			});
+			expect(element._loaded).toBe(true);
+			expect(element._intersectionCallback).toBeFalsy();
 
-			const shadowHTML = element.shadowRoot.innerHTML;
-			expect(shadowHTML).not.toContain('<script>');
+			element.reset();
+
+			expect(element._loaded).toBe(false);
+			expect(element._intersectionCallback).toBeTruthy();
 		});
 	});
 
-	describe('Performance', () => {
-		it('should throttle resize checks', () => {
-			vi.useFakeTimers();
+	describe('Load scheduling', () => {
+		function createImages(count, attributes = {}) {
+			return Array.from({ length: count }, (_, index) =>
+				createLazyImg({ ...attributes, src: `image-${index}.jpg` }),
+			);
+		}
 
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('min-inline-size', '500');
+		beforeEach(() => {
+			LazyImgElement.maxConcurrentLoads = 2;
+		});
 
-			const checkSpy = vi.spyOn(element, '_checkAndLoad');
+		afterEach(() => {
+			LazyImgElement.maxConcurrentLoads = 6;
+		});
 
-			// Trigger multiple throttled calls
-			element._throttledResize(() => element._checkAndLoad());
-			element._throttledResize(() => element._checkAndLoad());
-			element._throttledResize(() => element._checkAndLoad());
+		it('should queue loads beyond the concurrency limit', () => {
+			const images = createImages(3);
 
-			// Should not be called yet
-			expect(checkSpy).not.toHaveBeenCalled();
+			expect(images[0].shadowRoot.querySelector('img')).toBeTruthy();
+			expect(images[1].shadowRoot.querySelector('img')).toBeTruthy();
+			expect(images[2].shadowRoot.querySelector('img')).toBeFalsy();
+			expect(images[2].loadState).toBe('queued');
+			expect(images[2].queuePosition).toBe(1);
+		});
 
-			// Fast forward time
-			vi.advanceTimersByTime(150);
+		it('should start the next load when a slot frees up', async () => {
+			const images = createImages(3);
 
-			// Should be called once
-			expect(checkSpy).toHaveBeenCalledTimes(1);
+			fireImageEvent(images[0], 'load');
+			await Promise.resolve();
 
-			vi.useRealTimers();
+			expect(images[2].shadowRoot.querySelector('img')).toBeTruthy();
+			expect(images[2].loadState).toBe('loading');
+			expect(images[2].queuePosition).toBeNull();
 		});
-	});
 
-	describe('Edge cases', () => {
-		it('should handle invalid min-inline-size', () => {
-			const consoleSpy = vi.spyOn(console, 'warn');
+		it('should free slots for failed and disconnected images', async () => {
+			const images = createImages(4);
 
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('min-inline-size', 'invalid');
+			fireImageEvent(images[0], 'error');
+			images[1].remove();
+			await Promise.resolve();
 
-			element._checkAndLoad();
+			expect(images[2].shadowRoot.querySelector('img')).toBeTruthy();
+			expect(images[3].shadowRoot.querySelector('img')).toBeTruthy();
+		});
 
-			expect(consoleSpy).toHaveBeenCalledWith(
-				expect.stringContaining('valid number'),
+		it('should order the queue by fetchpriority, distance, then DOM order', () => {
+			const images = createImages(2);
+			const [far, near, low, high, later] = createImages(5);
+			low.setAttribute('fetchpriority', 'low');
+			high.setAttribute('fetchpriority', 'high');
+			vi.spyOn(far, 'getBoundingClientRect').mockReturnValue({
+				top: window.innerHeight + 2000,
+				bottom: window.innerHeight + 2200,
+				left: 0,
+				right: 100,
+			});
+			vi.spyOn(near, 'getBoundingClientRect').mockReturnValue({
+				top: window.innerHeight + 100,
+				bottom: window.innerHeight + 300,
+				left: 0,
+				right: 100,
+			});
+
+			expect(images[1].queuePosition).toBeNull();
+			expect(high.queuePosition).toBe(1);
+			expect(later.queuePosition).toBe(2);
+			expect(near.queuePosition).toBe(3);
+			expect(far.queuePosition).toBe(4);
+			expect(low.queuePosition).toBe(5);
+		});
+
+		it('should announce queue positions with lazy-img:queued', async () => {
+			const events = [];
+			document.body.addEventListener('lazy-img:queued', (event) =>
+				events.push([event.target, event.detail]),
 			);
+
+			const images = createImages(4);
+			await Promise.resolve();
+
+			expect(events).toEqual([
+				[images[2], { position: 1, length: 2 }],
+				[images[3], { position: 2, length: 2 }],
+			]);
 		});
 
-		it('should not reload image if already loaded', () => {
-			element.setAttribute('src', 'test.jpg');
-			element._loaded = true;
+		it('should not queue natively lazy images', () => {
+			const images = createImages(3, { loading: 'lazy' });
 
-			const initialHTML = element.shadowRoot.innerHTML;
+			expect(images[2].shadowRoot.querySelector('img')).toBeTruthy();
+		});
 
-			// Try to change src
-			element.setAttribute('src', 'new-test.jpg');
+		it('should not hold forced loads in the queue', () => {
+			const images = createImages(3);
+			expect(images[2].loadState).toBe('queued');
 
-			// Should not have changed because already loaded
-			const newHTML = element.shadowRoot.innerHTML;
-			expect(newHTML).toBe(initialHTML);
+			images[2].load({ force: true });
+			expect(images[2].shadowRoot.querySelector('img')).toBeTruthy();
+			expect(images[2].loadState).toBe('loading');
+			expect(images[2].queuePosition).toBeNull();
 		});
 
-		it('should handle missing src attribute', () => {
-			element.setAttribute('alt', 'No source');
+		it('should load every pending image for printing, beyond the limit', async () => {
+			const images = createImages(5, { 'min-inline-size': '5000' });
 
-			const img = element.shadowRoot.querySelector('img');
-			expect(img).toBeFalsy();
+			await LazyImgElement.prepareForPrint();
+			images.forEach((image) => {
+				expect(image.shadowRoot.querySelector('img')).toBeTruthy();
+				expect(image.loadState).toBe('loading');
+			});
 		});
-	});
 
-	describe('CSS Custom Properties', () => {
-		it('should support --lazy-img-display custom property', () => {
-			element.setAttribute('src', 'test.jpg');
+		it('should drain the queue when the limit is raised', async () => {
+			const images = createImages(3);
 
-			const style = element.shadowRoot.querySelector('style');
-			expect(style.textContent).toContain('--lazy-img-display');
+			LazyImgElement.maxConcurrentLoads = Infinity;
+			await Promise.resolve();
+
+			expect(images[2].shadowRoot.querySelector('img')).toBeTruthy();
+		});
+
+		it('should warn about an invalid limit', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+
+			LazyImgElement.maxConcurrentLoads = 0;
+
+			expect(consoleSpy).toHaveBeenCalledWith(
+				expect.stringContaining('maxConcurrentLoads'),
+			);
+			expect(LazyImgElement.maxConcurrentLoads).toBe(2);
 		});
 	});
 
-	describe('State attributes', () => {
-		it('should set loaded attribute when image loads', () => {
+	describe('Printing', () => {
+		beforeEach(() => {
+			element.setAttribute('min-inline-size', '800');
 			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('alt', 'Test');
+		});
 
-			// Initially should not have loaded attribute
-			expect(element.hasAttribute('loaded')).toBe(false);
+		it('should load pending images before printing', () => {
+			expect(element._loaded).toBe(false);
 
-			// Trigger load
-			element._loadImage();
+			window.dispatchEvent(new Event('beforeprint'));
 
-			// Should now have loaded attribute
-			expect(element.hasAttribute('loaded')).toBe(true);
+			expect(element._loaded).toBe(true);
+			expect(element.shadowRoot.querySelector('img')).toBeTruthy();
 		});
 
-		it('should set qualifies attribute when conditions are met', () => {
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('min-inline-size', '300');
+		it('should leave images with print="skip" alone', () => {
+			element.setAttribute('print', 'skip');
 
-			// Set current size below threshold
-			element._currentSize = 200;
-			element._checkAndLoad();
+			window.dispatchEvent(new Event('beforeprint'));
 
-			// Should not qualify
-			expect(element.hasAttribute('qualifies')).toBe(false);
+			expect(element._loaded).toBe(false);
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
+		});
 
-			// Set current size above threshold
-			element._currentSize = 400;
-			element._checkAndLoad();
+		it('should load images waiting to scroll into view', () => {
+			document.body.removeChild(element);
+			element = createLazyImg({ query: 'view', src: 'test.jpg' });
+			const unobserveSpy = vi.spyOn(element, '_unobserveView');
 
-			// Should qualify
-			expect(element.hasAttribute('qualifies')).toBe(true);
+			window.dispatchEvent(new Event('beforeprint'));
+
+			expect(element._loaded).toBe(true);
+			expect(unobserveSpy).toHaveBeenCalled();
 		});
 
-		it('should remove qualifies attribute when conditions are no longer met', () => {
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('min-inline-size', '300');
+		it('should resolve prepareForPrint() once images decode', async () => {
+			const decodeSpy = vi
+				.spyOn(HTMLImageElement.prototype, 'decode')
+				.mockRejectedValue(new Error('decode failed'));
 
-			// Set current size above threshold
-			element._currentSize = 400;
-			element._checkAndLoad();
-			expect(element.hasAttribute('qualifies')).toBe(true);
+			await expect(
+				LazyImgElement.prepareForPrint(),
+			).resolves.toBeUndefined();
 
-			// Set current size below threshold
-			element._currentSize = 200;
-			element._checkAndLoad();
-			expect(element.hasAttribute('qualifies')).toBe(false);
+			expect(element._loaded).toBe(true);
+			expect(decodeSpy).toHaveBeenCalled();
 		});
 
-		it('should maintain loaded attribute even when qualifies changes', () => {
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('min-inline-size', '300');
+		it('should stop tracking disconnected elements', () => {
+			element.remove();
 
-			// Load the image
-			element._currentSize = 400;
-			element._checkAndLoad();
-			expect(element.hasAttribute('loaded')).toBe(true);
-			expect(element.hasAttribute('qualifies')).toBe(true);
+			window.dispatchEvent(new Event('beforeprint'));
 
-			// Resize below threshold
-			element._currentSize = 200;
-			element._checkAndLoad();
+			expect(element._loaded).toBe(false);
+		});
+	});
+
+	describe('Network and device conditions', () => {
+		let connection;
+
+		beforeEach(() => {
+			connection = new EventTarget();
+			connection.saveData = false;
+			connection.effectiveType = '4g';
+			Object.defineProperty(navigator, 'connection', {
+				configurable: true,
+				value: connection,
+			});
+		});
+
+		afterEach(() => {
+			delete navigator.connection;
+			delete navigator.deviceMemory;
+		});
+
+		it('should skip loading in data-saver mode with skip-on-save-data', () => {
+			connection.saveData = true;
+			element.setAttribute('skip-on-save-data', '');
+			element.setAttribute('src', 'decorative.jpg');
 
-			// loaded should persist, qualifies should be removed
-			expect(element.hasAttribute('loaded')).toBe(true);
 			expect(element.hasAttribute('qualifies')).toBe(false);
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
 		});
 
-		it('should restore qualifies when resized back above threshold after loading', () => {
-			element.setAttribute('src', 'test.jpg');
+		it('should combine with size conditions', () => {
+			connection.effectiveType = '3g';
+			element.setAttribute('min-effective-type', '4g');
 			element.setAttribute('min-inline-size', '300');
+			element.setAttribute('src', 'test.jpg');
 
-			// Initial state - below threshold
-			element._currentSize = 200;
+			element._currentSize = 400;
 			element._checkAndLoad();
-			expect(element.hasAttribute('loaded')).toBe(false);
 			expect(element.hasAttribute('qualifies')).toBe(false);
 
-			// Resize above threshold - should load
-			element._currentSize = 400;
+			connection.effectiveType = '4g';
 			element._checkAndLoad();
-			expect(element.hasAttribute('loaded')).toBe(true);
 			expect(element.hasAttribute('qualifies')).toBe(true);
+			expect(element._loaded).toBe(true);
+		});
+
+		it('should re-check when the connection changes', () => {
+			connection.effectiveType = '2g';
+			document.body.removeChild(element);
+			element = createLazyImg({
+				'min-effective-type': '3g',
+				src: 'test.jpg',
+			});
+			expect(element._loaded).toBe(false);
+
+			connection.effectiveType = '4g';
+			connection.dispatchEvent(new Event('change'));
+
+			expect(element._loaded).toBe(true);
+			expect(element.shadowRoot.querySelector('img')).toBeTruthy();
+		});
+
+		it('should check navigator.deviceMemory', () => {
+			Object.defineProperty(navigator, 'deviceMemory', {
+				configurable: true,
+				value: 1,
+			});
+			element.setAttribute('min-device-memory', '4');
+			element.setAttribute('src', 'test.jpg');
 
-			// Resize below threshold - qualifies should be removed
-			element._currentSize = 200;
-			element._checkAndLoad();
-			expect(element.hasAttribute('loaded')).toBe(true);
 			expect(element.hasAttribute('qualifies')).toBe(false);
+			expect(element._loaded).toBe(false);
+		});
+
+		it('should pass when the browser does not expose the APIs', () => {
+			delete navigator.connection;
+			document.body.removeChild(element);
+			element = createLazyImg({
+				'skip-on-save-data': '',
+				'min-effective-type': '4g',
+				'min-device-memory': '4',
+				src: 'test.jpg',
+			});
 
-			// Resize above threshold again - qualifies should come back
-			element._currentSize = 400;
-			element._checkAndLoad();
-			expect(element.hasAttribute('loaded')).toBe(true);
 			expect(element.hasAttribute('qualifies')).toBe(true);
+			expect(element._loaded).toBe(true);
 		});
 
-		it('should always set qualifies when no conditions are specified', () => {
+		it('should warn about an unknown min-effective-type', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+
+			element.setAttribute('min-effective-type', '5g');
 			element.setAttribute('src', 'test.jpg');
 
-			element._checkAndLoad();
+			expect(consoleSpy).toHaveBeenCalledWith(
+				expect.stringContaining('min-effective-type must be'),
+			);
+		});
 
-			expect(element.hasAttribute('qualifies')).toBe(true);
+		it('should wait for network conditions in view mode', () => {
+			connection.saveData = true;
+			document.body.removeChild(element);
+			element = createLazyImg({
+				query: 'view',
+				'skip-on-save-data': '',
+				src: 'test.jpg',
+			});
+
+			element._intersectionCallback({
+				isIntersecting: true,
+				target: element,
+			});
+			expect(element._loaded).toBe(false);
+
+			connection.saveData = false;
+			connection.dispatchEvent(new Event('change'));
+			expect(element._loaded).toBe(true);
+		});
+
+		it('should stop listening for connection changes on disconnect', () => {
+			element.setAttribute('min-effective-type', '3g');
+			expect(element._networkCallback).toBeTruthy();
+
+			element.remove();
+
+			expect(element._networkCallback).toBeNull();
 		});
 	});
 
-	describe('View mode (IntersectionObserver)', () => {
-		it('should load image when element intersects viewport with default settings', (done) => {
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('query', 'view');
-			element.connectedCallback();
+	describe('Events', () => {
+		it('should dispatch lazy-img:loaded event when image loads', () => {
+			return new Promise((resolve) => {
+				element.addEventListener('lazy-img:loaded', (event) => {
+					expect(event.detail.src).toBe('test.jpg');
+					expect(event.bubbles).toBe(true);
+					expect(event.composed).toBe(true);
+					resolve();
+				});
 
-			// Wait for intersection
-			setTimeout(() => {
-				const img = element.shadowRoot.querySelector('img');
-				expect(img).toBeTruthy();
-				expect(img.getAttribute('src')).toBe('test.jpg');
-				expect(element.hasAttribute('loaded')).toBe(true);
-				done();
-			}, 100);
+				element.setAttribute('src', 'test.jpg');
+				// Trigger load manually since no conditions
+				element._loadImage();
+				fireImageEvent(element, 'load');
+			});
 		});
 
-		it('should parse entry X% as threshold', () => {
+		it('should not dispatch lazy-img:loaded before the inner image loads', () => {
+			const handler = vi.fn();
+			element.addEventListener('lazy-img:loaded', handler);
+
 			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('query', 'view');
-			element.setAttribute('view-range-start', 'entry 50%');
-			element.connectedCallback();
+			element._loadImage();
 
-			expect(element._intersectionConfig.threshold).toBe(0.5);
-			expect(element._intersectionConfig.rootMargin).toBe('0px');
+			expect(element.shadowRoot.querySelector('img')).toBeTruthy();
+			expect(handler).not.toHaveBeenCalled();
+			expect(element.hasAttribute('loaded')).toBe(false);
+			expect(element.loadState).toBe('loading');
 		});
 
-		it('should parse entry -Xpx as rootMargin for preloading', () => {
+		it('should include image dimensions and currentSrc in the loaded detail', () => {
+			const handler = vi.fn();
+			element.addEventListener('lazy-img:loaded', handler);
+
 			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('query', 'view');
-			element.setAttribute('view-range-start', 'entry -200px');
-			element.connectedCallback();
+			const img = fireImageEvent(element, 'load');
 
-			expect(element._intersectionConfig.rootMargin).toBe(
-				'0px 0px 200px 0px',
-			);
-			expect(element._intersectionConfig.threshold).toBe(0);
+			const { detail } = handler.mock.calls[0][0];
+			expect(detail.src).toBe('test.jpg');
+			expect(detail.currentSrc).toContain('test.jpg');
+			expect(detail.naturalWidth).toBe(img.naturalWidth);
+			expect(detail.naturalHeight).toBe(img.naturalHeight);
 		});
 
-		it('should share IntersectionObserver between instances with same config', () => {
-			const element1 = document.createElement('lazy-img');
-			const element2 = document.createElement('lazy-img');
+		it('should dispatch lazy-img:error and set errored when the image fails', () => {
+			const handler = vi.fn();
+			element.addEventListener('lazy-img:error', handler);
 
-			document.body.appendChild(element1);
-			document.body.appendChild(element2);
+			element.setAttribute('src', 'missing.jpg');
+			fireImageEvent(element, 'error');
 
-			element1.setAttribute('src', 'test1.jpg');
-			element1.setAttribute('query', 'view');
-			element1.setAttribute('view-range-start', 'entry 25%');
-			element1.connectedCallback();
+			expect(handler).toHaveBeenCalledTimes(1);
+			const event = handler.mock.calls[0][0];
+			expect(event.detail.src).toContain('missing.jpg');
+			expect(event.bubbles).toBe(true);
+			expect(event.composed).toBe(true);
+			expect(element.hasAttribute('errored')).toBe(true);
+			expect(element.hasAttribute('loaded')).toBe(false);
+			expect(element.loadState).toBe('errored');
+		});
+	});
 
-			element2.setAttribute('src', 'test2.jpg');
-			element2.setAttribute('query', 'view');
-			element2.setAttribute('view-range-start', 'entry 25%');
-			element2.connectedCallback();
+	describe('Retries and fallback', () => {
+		afterEach(() => {
+			vi.useRealTimers();
+		});
 
-			// Both should have same config
-			expect(element1._intersectionConfig.threshold).toBe(
-				element2._intersectionConfig.threshold,
-			);
-			expect(element1._intersectionConfig.rootMargin).toBe(
-				element2._intersectionConfig.rootMargin,
-			);
+		it('should switch to fallback-src when the primary source fails', () => {
+			const retryHandler = vi.fn();
+			const errorHandler = vi.fn();
+			element.addEventListener('lazy-img:retry', retryHandler);
+			element.addEventListener('lazy-img:error', errorHandler);
+
+			element.setAttribute('fallback-src', 'fallback.jpg');
+			element.setAttribute('srcset', 'a-400.jpg 400w, a-800.jpg 800w');
+			element.setAttribute('src', 'primary.jpg');
+			const img = fireImageEvent(element, 'error');
+
+			expect(img.getAttribute('src')).toBe('fallback.jpg');
+			expect(img.hasAttribute('srcset')).toBe(false);
+			expect(errorHandler).not.toHaveBeenCalled();
+			expect(retryHandler.mock.calls[0][0].detail).toMatchObject({
+				attempt: 1,
+				src: 'fallback.jpg',
+				trigger: 'fallback',
+			});
+			expect(element.loadState).toBe('loading');
 
-			// Both should have callbacks registered
-			expect(element1._intersectionCallback).toBeTruthy();
-			expect(element2._intersectionCallback).toBeTruthy();
+			// The fallback failing too is final
+			fireImageEvent(element, 'error');
+			expect(errorHandler).toHaveBeenCalledTimes(1);
+			expect(errorHandler.mock.calls[0][0].detail.attempts).toBe(2);
+			expect(element.hasAttribute('errored')).toBe(true);
+		});
 
-			// Clean up
-			document.body.removeChild(element1);
-			document.body.removeChild(element2);
+		it('should retry with exponential backoff up to retry-count', () => {
+			vi.useFakeTimers();
+			const retryHandler = vi.fn();
+			const errorHandler = vi.fn();
+			element.addEventListener('lazy-img:retry', retryHandler);
+			element.addEventListener('lazy-img:error', errorHandler);
+
+			element.setAttribute('retry-count', '2');
+			element.setAttribute('retry-delay', '100');
+			element.setAttribute('src', 'flaky.jpg');
+
+			fireImageEvent(element, 'error');
+			vi.advanceTimersByTime(99);
+			expect(retryHandler).not.toHaveBeenCalled();
+			vi.advanceTimersByTime(1);
+			expect(retryHandler).toHaveBeenCalledTimes(1);
+			expect(retryHandler.mock.calls[0][0].detail).toMatchObject({
+				attempt: 1,
+				src: 'flaky.jpg',
+				trigger: 'backoff',
+			});
+
+			// Second retry waits twice as long
+			fireImageEvent(element, 'error');
+			vi.advanceTimersByTime(199);
+			expect(retryHandler).toHaveBeenCalledTimes(1);
+			vi.advanceTimersByTime(1);
+			expect(retryHandler).toHaveBeenCalledTimes(2);
+
+			fireImageEvent(element, 'error');
+			expect(errorHandler).toHaveBeenCalledTimes(1);
+			expect(errorHandler.mock.calls[0][0].detail.attempts).toBe(3);
 		});
 
-		it('should clean up IntersectionObserver callback on disconnect', () => {
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('query', 'view');
-			element.setAttribute('view-range-start', 'entry 10%');
-			element.connectedCallback();
+		it('should load normally after a successful retry', () => {
+			vi.useFakeTimers();
+			element.setAttribute('retry-count', '1');
+			element.setAttribute('src', 'flaky.jpg');
 
-			expect(element._intersectionCallback).toBeTruthy();
-			expect(element._intersectionConfig).toBeTruthy();
+			fireImageEvent(element, 'error');
+			vi.advanceTimersByTime(1000);
+			fireImageEvent(element, 'load');
+
+			expect(element.hasAttribute('loaded')).toBe(true);
+			expect(element.hasAttribute('errored')).toBe(false);
+		});
+
+		it('should retry when the browser comes back online after an offline failure', () => {
+			const onLine = vi
+				.spyOn(navigator, 'onLine', 'get')
+				.mockReturnValue(false);
+			const retryHandler = vi.fn();
+			element.addEventListener('lazy-img:retry', retryHandler);
+
+			element.setAttribute('src', 'offline.jpg');
+			fireImageEvent(element, 'error');
+
+			expect(retryHandler).not.toHaveBeenCalled();
+			expect(element.loadState).toBe('loading');
+
+			onLine.mockReturnValue(true);
+			window.dispatchEvent(new Event('online'));
+
+			expect(retryHandler).toHaveBeenCalledTimes(1);
+			expect(retryHandler.mock.calls[0][0].detail.trigger).toBe('online');
+			expect(element._retryOnline).toBeNull();
+		});
+
+		it('should cancel pending retries on disconnect', () => {
+			vi.useFakeTimers();
+			element.setAttribute('retry-count', '1');
+			element.setAttribute('src', 'flaky.jpg');
+			fireImageEvent(element, 'error');
+			expect(element._retryTimeout).toBeTruthy();
 
 			element.disconnectedCallback();
 
-			expect(element._intersectionCallback).toBeNull();
-			expect(element._intersectionConfig).toBeNull();
+			expect(element._retryTimeout).toBeNull();
 		});
+	});
 
-		it('should automatically clean up shared observer when all instances disconnect', () => {
-			const element1 = document.createElement('lazy-img');
-			const element2 = document.createElement('lazy-img');
+	describe('Tiered sources', () => {
+		const TIERS = '320: small.jpg, 768: medium.jpg, 1200: large.jpg';
 
-			document.body.appendChild(element1);
-			document.body.appendChild(element2);
+		it('should qualify once the smallest tier fits', () => {
+			element.setAttribute('sources', TIERS);
 
-			element1.setAttribute('src', 'test1.jpg');
-			element1.setAttribute('query', 'view');
-			element1.setAttribute('view-range-start', 'entry 75%');
-			element1.connectedCallback();
+			element._currentSize = 200;
+			element._checkAndLoad();
+			expect(element.hasAttribute('qualifies')).toBe(false);
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
 
-			element2.setAttribute('src', 'test2.jpg');
-			element2.setAttribute('query', 'view');
-			element2.setAttribute('view-range-start', 'entry 75%');
-			element2.connectedCallback();
+			element._currentSize = 400;
+			element._checkAndLoad();
+			expect(element.hasAttribute('qualifies')).toBe(true);
+			expect(
+				element.shadowRoot.querySelector('img').getAttribute('src'),
+			).toBe('small.jpg');
+		});
 
-			// Disconnect first element
-			element1.disconnectedCallback();
-			expect(element1._intersectionCallback).toBeNull();
+		it('should load the largest tier that fits the current size', () => {
+			element.setAttribute('sources', TIERS);
 
-			// Disconnect second element
-			element2.disconnectedCallback();
-			expect(element2._intersectionCallback).toBeNull();
+			element._currentSize = 900;
+			element._checkAndLoad();
 
-			// Clean up DOM
-			document.body.removeChild(element1);
-			document.body.removeChild(element2);
+			expect(
+				element.shadowRoot.querySelector('img').getAttribute('src'),
+			).toBe('medium.jpg');
 		});
 
-		it('should warn on invalid view-range-start percentage', () => {
-			const consoleSpy = vi
-				.spyOn(console, 'warn')
-				.mockImplementation(() => {});
+		it('should upgrade as the container grows but never downgrade', async () => {
+			element.setAttribute('sources', TIERS);
+			const img = () => element.shadowRoot.querySelector('img');
+			let finishDecode;
+			const decode = vi
+				.spyOn(HTMLImageElement.prototype, 'decode')
+				.mockImplementation(
+					() =>
+						new Promise((resolve) => {
+							finishDecode = resolve;
+						}),
+				);
+			const loaded = vi.fn();
+			element.addEventListener('lazy-img:loaded', loaded);
 
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('query', 'view');
-			element.setAttribute('view-range-start', 'entry 150%');
-			element.connectedCallback();
+			element._currentSize = 400;
+			element._checkAndLoad();
+			fireImageEvent(element, 'load');
+			expect(img().getAttribute('src')).toBe('small.jpg');
 
-			expect(consoleSpy).toHaveBeenCalledWith(
-				expect.stringContaining(
-					'view-range-start percentage must be between 0 and 100',
-				),
+			// The loaded tier stays on screen while the bigger one decodes
+			element._currentSize = 1300;
+			element._checkAndLoad();
+			element._checkAndLoad();
+			expect(decode).toHaveBeenCalledTimes(1);
+			expect(img().getAttribute('src')).toBe('small.jpg');
+			expect(element.hasAttribute('loaded')).toBe(true);
+
+			finishDecode();
+			await vi.waitFor(() => {
+				expect(img().getAttribute('src')).toBe('large.jpg');
+			});
+			expect(element.loadState).toBe('loaded');
+			fireImageEvent(element, 'load');
+			expect(element.hasAttribute('loaded')).toBe(true);
+			expect(loaded).toHaveBeenCalledTimes(1);
+
+			element._currentSize = 500;
+			element._checkAndLoad();
+			expect(decode).toHaveBeenCalledTimes(1);
+			expect(img().getAttribute('src')).toBe('large.jpg');
+		});
+
+		it('should keep the loaded tier when the bigger one fails', async () => {
+			element.setAttribute('sources', TIERS);
+			const img = () => element.shadowRoot.querySelector('img');
+			const decode = vi
+				.spyOn(HTMLImageElement.prototype, 'decode')
+				.mockRejectedValue(new Error('EncodingError'));
+
+			element._currentSize = 400;
+			element._checkAndLoad();
+			fireImageEvent(element, 'load');
+
+			element._currentSize = 1300;
+			element._checkAndLoad();
+			await vi.waitFor(() => {
+				expect(element._tierSwap).toBeNull();
+			});
+			expect(img().getAttribute('src')).toBe('small.jpg');
+			expect(element._activeTier).toBe(0);
+			expect(element.loadState).toBe('loaded');
+
+			// The next resize tries again
+			element._checkAndLoad();
+			expect(decode).toHaveBeenCalledTimes(2);
+		});
+
+		it('should keep commas that are part of a URL', () => {
+			element.setAttribute(
+				'sources',
+				'400: /img/w_400,h_300/a.jpg, 800: /img/w_800,h_600/a.jpg',
 			);
 
-			consoleSpy.mockRestore();
+			element._currentSize = 500;
+			element._checkAndLoad();
+
+			expect(
+				element.shadowRoot.querySelector('img').getAttribute('src'),
+			).toBe('/img/w_400,h_300/a.jpg');
 		});
 
-		it('should warn on invalid view-range-start format', () => {
+		it('should warn about invalid tiers', () => {
 			const consoleSpy = vi
 				.spyOn(console, 'warn')
 				.mockImplementation(() => {});
 
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('query', 'view');
-			element.setAttribute('view-range-start', 'invalid format');
-			element.connectedCallback();
+			element.setAttribute('sources', 'small.jpg');
 
 			expect(consoleSpy).toHaveBeenCalledWith(
-				expect.stringContaining('invalid view-range-start format'),
+				expect.stringContaining('invalid sources entry'),
 			);
-
-			consoleSpy.mockRestore();
+			expect(element._sourceTiers).toBeNull();
 		});
+	});
 
-		it('should use default values for empty view-range-start', () => {
-			element.setAttribute('src', 'test.jpg');
-			element.setAttribute('query', 'view');
+	describe('Art direction with <source> children', () => {
+		function appendSource(target, attrs) {
+			const source = document.createElement('source');
+			for (const [key, value] of Object.entries(attrs)) {
+				source.setAttribute(key, value);
+			}
+			target.appendChild(source);
+			return source;
+		}
+
+		it('should build a <picture> from light DOM sources', () => {
+			appendSource(element, {
+				type: 'image/avif',
+				srcset: 'photo.avif',
+			});
+			appendSource(element, {
+				media: '(min-width: 800px)',
+				srcset: 'wide.jpg 1x, wide@2x.jpg 2x',
+				sizes: '100vw',
+			});
+			element.setAttribute('src', 'photo.jpg');
+
+			const picture = element.shadowRoot.querySelector('picture');
+			expect(picture).toBeTruthy();
+			const sources = picture.querySelectorAll('source');
+			expect(sources).toHaveLength(2);
+			expect(sources[0].getAttribute('type')).toBe('image/avif');
+			expect(sources[1].getAttribute('media')).toBe('(min-width: 800px)');
+			expect(sources[1].getAttribute('sizes')).toBe('100vw');
+			// The <img> must come last
+			expect(picture.lastElementChild.localName).toBe('img');
+			expect(picture.lastElementChild.getAttribute('src')).toBe(
+				'photo.jpg',
+			);
+		});
+
+		it('should not build a <picture> until the element qualifies', () => {
+			appendSource(element, { type: 'image/webp', srcset: 'a.webp' });
+			element.setAttribute('min-inline-size', '500');
+			element.setAttribute('src', 'a.jpg');
+
+			element._currentSize = 200;
+			element._checkAndLoad();
+			expect(element.shadowRoot.querySelector('picture')).toBeFalsy();
+			expect(element.shadowRoot.querySelector('source')).toBeFalsy();
+
+			element._currentSize = 600;
+			element._checkAndLoad();
+			expect(
+				element.shadowRoot.querySelector('picture source'),
+			).toBeTruthy();
+		});
+
+		it('should render a plain <img> without source children', () => {
+			element.setAttribute('src', 'plain.jpg');
+
+			expect(element.shadowRoot.querySelector('picture')).toBeFalsy();
+			expect(element.shadowRoot.querySelector('img').parentNode).toBe(
+				element.shadowRoot,
+			);
+		});
+
+		it('should pick up sources added before the image loads', async () => {
+			element.setAttribute('src', 'photo.jpg');
+			appendSource(element, { type: 'image/avif', srcset: 'photo.avif' });
+
+			await new Promise((resolve) => setTimeout(resolve, 0));
+
+			const source = element.shadowRoot.querySelector('picture source');
+			expect(source?.getAttribute('srcset')).toBe('photo.avif');
+		});
+
+		it('should drop the sources when switching to fallback-src', () => {
+			appendSource(element, { type: 'image/avif', srcset: 'photo.avif' });
+			element.setAttribute('fallback-src', 'fallback.jpg');
+			element.setAttribute('src', 'photo.jpg');
+
+			const img = fireImageEvent(element, 'error');
+
+			expect(element.shadowRoot.querySelector('picture')).toBeFalsy();
+			expect(img.parentNode).toBe(element.shadowRoot);
+			expect(img.getAttribute('src')).toBe('fallback.jpg');
+		});
+
+		it('should stop watching sources on disconnect', () => {
+			expect(element._sourceObserver).toBeTruthy();
+			element.disconnectedCallback();
+			expect(element._sourceObserver).toBeNull();
+		});
+	});
+
+	describe('Placeholders', () => {
+		it('should render a placeholder before the image qualifies', () => {
+			element.setAttribute('placeholder', '#3a5f7d');
+			element.setAttribute('width', '800');
+			element.setAttribute('height', '600');
+			element.setAttribute('min-inline-size', '500');
+			element.setAttribute('src', 'test.jpg');
+
+			const placeholder =
+				element.shadowRoot.querySelector('.placeholder');
+			expect(placeholder).toBeTruthy();
+			expect(placeholder.getAttribute('part')).toBe('placeholder');
+			expect(placeholder.getAttribute('aria-hidden')).toBe('true');
+			expect(placeholder.style.backgroundColor).toBeTruthy();
+			expect(placeholder.style.aspectRatio).toBe('800 / 600');
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
+		});
+
+		it('should decode hash placeholders into an inline image', () => {
+			element.setAttribute('placeholder', 'LEHV6nWB2yk8pyo0adR*.7kCMdnj');
+			element.setAttribute('src', 'test.jpg');
+
+			const placeholder =
+				element.shadowRoot.querySelector('.placeholder');
+			expect(placeholder.style.backgroundImage).toContain(
+				'data:image/bmp;base64,',
+			);
+		});
+
+		it('should keep the placeholder ahead of the image for the crossfade', () => {
+			element.setAttribute('placeholder', '#3a5f7d');
+			element.setAttribute('src', 'test.jpg');
+
+			const placeholder =
+				element.shadowRoot.querySelector('.placeholder');
+			const img = element.shadowRoot.querySelector('img');
+			expect(placeholder.nextElementSibling).toBe(img);
+
+			const style = element.shadowRoot.querySelector('style');
+			expect(style.textContent).toContain(
+				':host([loaded]) .placeholder ~ img',
+			);
+		});
+
+		it('should decode each placeholder value only once', () => {
+			element.setAttribute('placeholder', '#3a5f7d');
+			element.setAttribute('src', 'test.jpg');
+			const cached = element._placeholder;
+
+			element.setAttribute('alt', 'Changed');
+
+			expect(element._placeholder).toBe(cached);
+		});
+
+		it('should remove the placeholder when the attribute is removed', () => {
+			element.setAttribute('placeholder', '#3a5f7d');
+			element.setAttribute('src', 'test.jpg');
+			element.removeAttribute('placeholder');
+
+			expect(
+				element.shadowRoot.querySelector('.placeholder'),
+			).toBeFalsy();
+		});
+	});
+
+	describe('Unloading', () => {
+		afterEach(() => {
+			vi.useRealTimers();
+		});
+
+		function loadAt(size) {
+			element._currentSize = size;
+			element._checkAndLoad();
+			const img = fireImageEvent(element, 'load');
+			vi.spyOn(img, 'getBoundingClientRect').mockReturnValue({
+				width: 400,
+				height: 300,
+			});
+			return img;
+		}
+
+		it('should unload after staying disqualified for unload-delay', () => {
+			vi.useFakeTimers();
+			const handler = vi.fn();
+			element.addEventListener('lazy-img:unloaded', handler);
+			element.setAttribute('unload', 'disqualify');
+			element.setAttribute('min-inline-size', '300');
+			element.setAttribute('src', 'test.jpg');
+			loadAt(400);
+
+			element._currentSize = 200;
+			element._checkAndLoad();
+			vi.advanceTimersByTime(1999);
+			expect(element.shadowRoot.querySelector('img')).toBeTruthy();
+
+			vi.advanceTimersByTime(1);
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
+			expect(element._loaded).toBe(false);
+			expect(element.hasAttribute('loaded')).toBe(false);
+			expect(handler.mock.calls[0][0].detail).toEqual({
+				src: expect.stringContaining('test.jpg'),
+				reason: 'disqualify',
+			});
+		});
+
+		it('should reserve the unloaded image size', () => {
+			vi.useFakeTimers();
+			element.setAttribute('unload', 'disqualify');
+			element.setAttribute('min-inline-size', '300');
+			element.setAttribute('src', 'test.jpg');
+			loadAt(400);
+
+			element._currentSize = 200;
+			element._checkAndLoad();
+			vi.advanceTimersByTime(2000);
+
+			const spacer = element.shadowRoot.querySelector('.reserved');
+			expect(spacer).toBeTruthy();
+			expect(spacer.style.inlineSize).toBe('400px');
+			expect(spacer.style.aspectRatio).toBe('400 / 300');
+		});
+
+		it('should not unload when the element re-qualifies within the delay', () => {
+			vi.useFakeTimers();
+			element.setAttribute('unload', 'disqualify');
+			element.setAttribute('unload-delay', '500');
+			element.setAttribute('min-inline-size', '300');
+			element.setAttribute('src', 'test.jpg');
+			loadAt(400);
+
+			element._currentSize = 200;
+			element._checkAndLoad();
+			vi.advanceTimersByTime(400);
+			element._currentSize = 400;
+			element._checkAndLoad();
+			vi.advanceTimersByTime(1000);
+
+			expect(element.shadowRoot.querySelector('img')).toBeTruthy();
+			expect(element.hasAttribute('loaded')).toBe(true);
+		});
+
+		it('should load again when the element re-qualifies', () => {
+			vi.useFakeTimers();
+			element.setAttribute('unload', 'disqualify');
+			element.setAttribute('min-inline-size', '300');
+			element.setAttribute('src', 'test.jpg');
+			loadAt(400);
+
+			element._currentSize = 200;
+			element._checkAndLoad();
+			vi.advanceTimersByTime(2000);
+			element._currentSize = 400;
+			element._checkAndLoad();
+
+			expect(element.shadowRoot.querySelector('img')).toBeTruthy();
+			expect(element.shadowRoot.querySelector('.reserved')).toBeFalsy();
+		});
+
+		it('should keep loaded images by default', () => {
+			vi.useFakeTimers();
+			element.setAttribute('min-inline-size', '300');
+			element.setAttribute('src', 'test.jpg');
+			loadAt(400);
+
+			element._currentSize = 200;
+			element._checkAndLoad();
+			vi.advanceTimersByTime(5000);
+
+			expect(element.shadowRoot.querySelector('img')).toBeTruthy();
+		});
+
+		it('should unload offscreen images and reload them on approach', () => {
+			vi.useFakeTimers();
+			document.body.removeChild(element);
+			element = createLazyImg({ unload: 'offscreen', src: 'test.jpg' });
+
+			expect(element._unloadConfig.rootMargin).toBe('100%');
+			// Nothing loads until the observer reports
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
+			element._unloadCallback({ isIntersecting: true, target: element });
+			fireImageEvent(element, 'load');
+
+			element._unloadCallback({ isIntersecting: false, target: element });
+			vi.advanceTimersByTime(2000);
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
+
+			// Resizes don't bring it back while it's offscreen
+			element._checkAndLoad();
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
+
+			element._unloadCallback({ isIntersecting: true, target: element });
+			expect(element.shadowRoot.querySelector('img')).toBeTruthy();
+		});
+
+		it('should re-arm the view observer after unloading in view mode', () => {
+			vi.useFakeTimers();
+			document.body.removeChild(element);
+			element = createLazyImg({
+				unload: 'offscreen',
+				query: 'view',
+				src: 'test.jpg',
+			});
+
+			element._intersectionCallback({
+				isIntersecting: true,
+				target: element,
+			});
+			expect(element._intersectionCallback).toBeNull();
+
+			element._unloadCallback({ isIntersecting: false, target: element });
+			vi.advanceTimersByTime(2000);
+
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
+			expect(element._intersectionCallback).toBeTruthy();
+		});
+
+		it('should not load offscreen images before the observer reports', () => {
+			const images = Array.from({ length: 4 }, () => {
+				const image = createLazyImg({
+					unload: 'offscreen',
+					src: 'test.jpg',
+				});
+				return image;
+			});
+
+			images.forEach((image) => {
+				expect(image.loadState).toBe('idle');
+			});
+			images[0]._unloadCallback({
+				isIntersecting: true,
+				target: images[0],
+			});
+			expect(images[0].loadState).toBe('loading');
+			expect(images[1].loadState).toBe('idle');
+		});
+
+		it('should pick up unload attributes at runtime', () => {
+			element.setAttribute('src', 'test.jpg');
+			expect(element._unloadCallback).toBeFalsy();
+
+			element.setAttribute('unload', 'offscreen');
+			expect(element._unloadCallback).toBeTruthy();
+
+			element.setAttribute('unload-margin', '50%');
+			expect(element._unloadConfig.rootMargin).toBe('50%');
+
+			element.removeAttribute('unload');
+			expect(element._unloadCallback).toBeFalsy();
+		});
+
+		it('should clean up the offscreen watcher on disconnect', () => {
+			document.body.removeChild(element);
+			element = createLazyImg({ unload: 'offscreen', src: 'test.jpg' });
+			expect(element._unloadCallback).toBeTruthy();
+
+			element.remove();
+
+			expect(element._unloadCallback).toBeNull();
+			expect(element._unloadConfig).toBeNull();
+		});
+	});
+
+	describe('Lifecycle', () => {
+		it('should clean up ResizeObserver on disconnect', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('min-inline-size', '500');
+
+			const callback = element._resizeCallback;
+			const target = element._observedTarget;
+			expect(callback).toBeTruthy();
+			expect(target).toBeTruthy();
+
+			element.disconnectedCallback();
+
+			expect(element._resizeCallback).toBeNull();
+			expect(element._observedTarget).toBeNull();
+		});
+
+		it('should share ResizeObserver between multiple instances with same parent', () => {
+			// Create a parent container
+			const parent = document.createElement('div');
+			document.body.appendChild(parent);
+
+			// Create two lazy-img elements with the same parent
+			const element1 = document.createElement('lazy-img');
+			const element2 = document.createElement('lazy-img');
+
+			parent.appendChild(element1);
+			parent.appendChild(element2);
+
+			element1.setAttribute('src', 'test1.jpg');
+			element1.setAttribute('min-inline-size', '400');
+
+			element2.setAttribute('src', 'test2.jpg');
+			element2.setAttribute('min-inline-size', '500');
+
+			// Both elements should observe the same target (parent)
+			expect(element1._observedTarget).toBe(parent);
+			expect(element2._observedTarget).toBe(parent);
+
+			// Both should have their own callbacks registered
+			expect(element1._resizeCallback).toBeTruthy();
+			expect(element2._resizeCallback).toBeTruthy();
+			expect(element1._resizeCallback).not.toBe(element2._resizeCallback);
+
+			// Clean up
+			element1.disconnectedCallback();
+			element2.disconnectedCallback();
+			document.body.removeChild(parent);
+		});
+
+		it('should automatically clean up shared observer when all instances disconnect', async () => {
+			// Create a parent container
+			const parent = document.createElement('div');
+			document.body.appendChild(parent);
+
+			// Create two lazy-img elements with the same parent
+			const element1 = document.createElement('lazy-img');
+			const element2 = document.createElement('lazy-img');
+
+			parent.appendChild(element1);
+			parent.appendChild(element2);
+
+			element1.setAttribute('src', 'test1.jpg');
+			element1.setAttribute('min-inline-size', '400');
+
+			element2.setAttribute('src', 'test2.jpg');
+			element2.setAttribute('min-inline-size', '500');
+
+			// Verify both are registered
+			expect(element1._observedTarget).toBe(parent);
+			expect(element2._observedTarget).toBe(parent);
+
+			// Disconnect first element - shared observer should still exist
+			element1.disconnectedCallback();
+			expect(element1._observedTarget).toBeNull();
+			expect(element2._observedTarget).toBe(parent); // Second still connected
+
+			// Disconnect second element - shared observer should be cleaned up automatically
+			element2.disconnectedCallback();
+			expect(element2._observedTarget).toBeNull();
+
+			// Clean up DOM
+			document.body.removeChild(parent);
+		});
+
+		it('should clear throttle timeout on disconnect', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('min-inline-size', '500');
+
+			// Set a throttle timeout
+			element._throttleTimeout = setTimeout(() => {}, 1000);
+			const timeoutId = element._throttleTimeout;
+
+			element.disconnectedCallback();
+
+			expect(element._throttleTimeout).toBeNull();
+		});
+	});
+
+	describe('Size range conditions', () => {
+		function measure(inlineSize, blockSize) {
+			element._currentSize = inlineSize;
+			element._currentBlockSize = blockSize;
+			return element._updateQualifies();
+		}
+
+		beforeEach(() => {
+			element.setAttribute('src', 'test.jpg');
+		});
+
+		it('should support max-inline-size for small-screen images', () => {
+			element.setAttribute('max-inline-size', '600');
+
+			expect(measure(400, 300)).toBe(true);
+			expect(measure(800, 300)).toBe(false);
+		});
+
+		it('should combine min and max inline sizes into a range', () => {
+			element.setAttribute('min-inline-size', '400');
+			element.setAttribute('max-inline-size', '800');
+
+			expect(measure(300, 300)).toBe(false);
+			expect(measure(600, 300)).toBe(true);
+			expect(measure(900, 300)).toBe(false);
+		});
+
+		it('should support block size ranges', () => {
+			element.setAttribute('min-block-size', '200');
+			element.setAttribute('max-block-size', '600');
+
+			expect(measure(500, 100)).toBe(false);
+			expect(measure(500, 400)).toBe(true);
+			expect(measure(500, 700)).toBe(false);
+		});
+
+		it('should support aspect ratio ranges', () => {
+			element.setAttribute('min-aspect-ratio', '4/3');
+			element.setAttribute('max-aspect-ratio', '16 / 9');
+
+			expect(measure(1000, 1000)).toBe(false);
+			expect(measure(1500, 1000)).toBe(true);
+			expect(measure(2000, 1000)).toBe(false);
+		});
+
+		it('should support orientation', () => {
+			element.setAttribute('orientation', 'portrait');
+			expect(measure(400, 800)).toBe(true);
+			expect(measure(400, 400)).toBe(true);
+			expect(measure(800, 400)).toBe(false);
+
+			element.setAttribute('orientation', 'landscape');
+			expect(measure(800, 400)).toBe(true);
+			expect(measure(400, 800)).toBe(false);
+		});
+
+		it('should reflect the result in the qualifies attribute', () => {
+			element.setAttribute('max-inline-size', '600');
+
+			measure(800, 400);
+			expect(element.hasAttribute('qualifies')).toBe(false);
+
+			measure(400, 400);
+			expect(element.hasAttribute('qualifies')).toBe(true);
+		});
+
+		it('should not render the image before the conditions are met', () => {
+			document.body.removeChild(element);
+			element = createLazyImg({
+				orientation: 'portrait',
+				src: 'test.jpg',
+			});
+
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
+
+			element._currentSize = 400;
+			element._currentBlockSize = 800;
+			element._checkAndLoad();
+			expect(element.shadowRoot.querySelector('img')).toBeTruthy();
+		});
+
+		it('should track the viewport block size in media mode', () => {
+			document.body.removeChild(element);
+			element = createLazyImg({ query: 'media', src: 'test.jpg' });
+
+			expect(element._currentBlockSize).toBe(window.innerHeight);
+		});
+
+		it('should warn about invalid values', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+			element.setAttribute('max-block-size', 'tall');
+			element.setAttribute('min-aspect-ratio', 'wide');
+			element.setAttribute('orientation', 'sideways');
+
+			expect(measure(500, 500)).toBe(false);
+			expect(consoleSpy).toHaveBeenCalledWith(
+				'lazy-img: max-block-size must be a valid number',
+			);
+			expect(consoleSpy).toHaveBeenCalledWith(
+				'lazy-img: min-aspect-ratio must be a ratio like "16/9" or a number',
+			);
+			expect(consoleSpy).toHaveBeenCalledWith(
+				'lazy-img: orientation must be "portrait" or "landscape"',
+			);
+		});
+	});
+
+	describe('Container query expressions', () => {
+		function measure(inlineSize, blockSize) {
+			element._currentSize = inlineSize;
+			element._currentBlockSize = blockSize;
+			return element._updateQualifies();
+		}
+
+		beforeEach(() => {
+			element.setAttribute('src', 'test.jpg');
+		});
+
+		it('should reflect the container-query attribute', () => {
+			element.containerQuery = '(min-width: 400px)';
+			expect(element.getAttribute('container-query')).toBe(
+				'(min-width: 400px)',
+			);
+		});
+
+		it('should evaluate the expression against the measured size', () => {
+			element.setAttribute(
+				'container-query',
+				'(min-width: 400px) and (max-width: 900px)',
+			);
+
+			expect(measure(300, 300)).toBe(false);
+			expect(measure(600, 300)).toBe(true);
+			expect(measure(1000, 300)).toBe(false);
+		});
+
+		it('should combine with the other size conditions', () => {
+			element.setAttribute('container-query', '(orientation: landscape)');
+			element.setAttribute('min-inline-size', '500');
+
+			expect(measure(400, 300)).toBe(false);
+			expect(measure(600, 300)).toBe(true);
+			expect(measure(600, 800)).toBe(false);
+		});
+
+		it('should resolve em against the container font size', () => {
+			element.setAttribute('container-query', '(width >= 20em)');
+			vi.spyOn(window, 'getComputedStyle').mockReturnValue({
+				fontSize: '20px',
+				getPropertyValue: () => '',
+			});
+
+			expect(measure(350, 300)).toBe(false);
+			expect(measure(400, 300)).toBe(true);
+		});
+
+		it('should not render the image before the first measurement', () => {
+			document.body.removeChild(element);
+			element = createLazyImg({
+				'container-query': '(width > 100px)',
+				src: 'test.jpg',
+			});
+
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
+
+			element._currentSize = 400;
+			element._currentBlockSize = 300;
+			element._checkAndLoad();
+			expect(element.shadowRoot.querySelector('img')).toBeTruthy();
+		});
+
+		it('should warn about and never match an invalid expression', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+			element.setAttribute('container-query', '(min-width: 400)');
+
+			expect(consoleSpy).toHaveBeenCalledWith(
+				'lazy-img: invalid container-query "(min-width: 400)": "400" needs a unit (px, em, or rem)',
+			);
+			expect(measure(800, 600)).toBe(false);
+		});
+	});
+
+	describe('Media attribute', () => {
+		const mediaQueryLists = {};
+
+		function changeMedia(media, matches) {
+			const mediaQueryList = mediaQueryLists[media];
+			mediaQueryList.matches = matches;
+			mediaQueryList.dispatchEvent(new Event('change'));
+		}
+
+		beforeEach(() => {
+			vi.spyOn(window, 'matchMedia').mockImplementation((media) => {
+				const mediaQueryList = new EventTarget();
+				mediaQueryList.media = media.includes('invalid')
+					? 'not all'
+					: media;
+				mediaQueryList.matches = false;
+				mediaQueryLists[media] = mediaQueryList;
+				return mediaQueryList;
+			});
+		});
+
+		function createWithMedia(media, attributes = {}) {
+			document.body.removeChild(element);
+			element = createLazyImg({ media, ...attributes, src: 'test.jpg' });
+		}
+
+		it('should load once the media query matches', () => {
+			const media = '(min-width: 48em) and (hover: hover)';
+			createWithMedia(media);
+			expect(element._loaded).toBe(false);
+			expect(element.hasAttribute('qualifies')).toBe(false);
+
+			changeMedia(media, true);
+
+			expect(element._loaded).toBe(true);
+			expect(element.hasAttribute('qualifies')).toBe(true);
+		});
+
+		it('should not listen for window resizes', () => {
+			const addSpy = vi.spyOn(window, 'addEventListener');
+			createWithMedia('(orientation: landscape)', { query: 'media' });
+
+			expect(addSpy).not.toHaveBeenCalledWith(
+				'resize',
+				expect.any(Function),
+			);
+			expect(element._handleResize).toBeFalsy();
+		});
+
+		it('should share one change listener per query', () => {
+			const media = '(min-resolution: 2dppx)';
+			createWithMedia(media);
+			const other = document.createElement('lazy-img');
+			other.setAttribute('media', media);
+			other.setAttribute('src', 'other.jpg');
+			const addSpy = vi.spyOn(mediaQueryLists[media], 'addEventListener');
+			document.body.appendChild(other);
+
+			expect(addSpy).not.toHaveBeenCalled();
+
+			changeMedia(media, true);
+			expect(element._loaded).toBe(true);
+			expect(other._loaded).toBe(true);
+		});
+
+		it('should combine with size conditions', () => {
+			const media = '(prefers-color-scheme: dark)';
+			createWithMedia(media, { 'min-inline-size': '500' });
+
+			element._currentSize = 600;
+			element._checkAndLoad();
+			expect(element._loaded).toBe(false);
+
+			changeMedia(media, true);
+			expect(element._loaded).toBe(true);
+		});
+
+		it('should gate view mode', () => {
+			const media = '(hover: hover)';
+			createWithMedia(media, { query: 'view' });
+			element._intersectionCallback({
+				isIntersecting: true,
+				target: element,
+			});
+			expect(element._loaded).toBe(false);
+
+			changeMedia(media, true);
+			expect(element._loaded).toBe(true);
+		});
+
+		it('should follow changes to the attribute', () => {
+			createWithMedia('(min-width: 10em)');
+			element.setAttribute('media', '(min-width: 20em)');
+
+			expect(element._mediaQueryList).toBe(
+				mediaQueryLists['(min-width: 20em)'],
+			);
+		});
+
+		it('should stop listening on disconnect', () => {
+			createWithMedia('(pointer: fine)');
+			element.remove();
+
+			expect(element._mediaCallback).toBeNull();
+		});
+
+		it('should warn about invalid media queries', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+			createWithMedia('invalid query');
+
+			expect(consoleSpy).toHaveBeenCalledWith(
+				'lazy-img: invalid media query "invalid query"',
+			);
+		});
+	});
+
+	describe('Container selection', () => {
+		it('should measure the parent element by default', () => {
+			const parent = document.createElement('div');
+			document.body.appendChild(parent);
+			element.remove();
+			parent.appendChild(element);
+
+			expect(element._observedTarget).toBe(parent);
+		});
+
+		it('should measure the closest ancestor matching a selector', () => {
+			document.body.innerHTML =
+				'<section class="card"><a href="#"><lazy-img container=".card" src="test.jpg"></lazy-img></a></section>';
+			const img = document.querySelector('lazy-img');
+
+			expect(img._observedTarget).toBe(document.querySelector('.card'));
+		});
+
+		it('should find the container across shadow boundaries', () => {
+			document.body.innerHTML =
+				'<section class="card"><div class="host"></div></section>';
+			const host = document.querySelector('.host');
+			const root = host.attachShadow({ mode: 'open' });
+			const wrapper = document.createElement('div');
+			root.appendChild(wrapper);
+			const img = createLazyImg({ container: '.card' }, wrapper);
+
+			expect(img._observedTarget).toBe(document.querySelector('.card'));
+		});
+
+		it('should measure the shadow host when it has no parent element', () => {
+			const host = document.createElement('div');
+			document.body.appendChild(host);
+			const root = host.attachShadow({ mode: 'open' });
+			const img = createLazyImg({}, root);
+
+			expect(img._observedTarget).toBe(host);
+		});
+
+		it('should match a CSS container-name', () => {
+			document.body.innerHTML =
+				'<div style="container-name: sidebar card"><div><lazy-img container="card" src="test.jpg"></lazy-img></div></div>';
+			const img = document.querySelector('lazy-img');
+
+			expect(img._observedTarget).toBe(document.querySelector('[style]'));
+		});
+
+		it('should warn and fall back to the parent when nothing matches', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+			document.body.innerHTML =
+				'<div class="parent"><lazy-img container=".missing" src="test.jpg"></lazy-img></div>';
+			const img = document.querySelector('lazy-img');
+
+			expect(img._observedTarget).toBe(document.querySelector('.parent'));
+			expect(consoleSpy).toHaveBeenCalledWith(
+				expect.stringContaining(
+					'no ancestor matches container ".missing"',
+				),
+			);
+		});
+
+		it('should re-resolve when the attribute changes', () => {
+			document.body.innerHTML =
+				'<section class="card"><div class="parent"><lazy-img src="test.jpg"></lazy-img></div></section>';
+			const img = document.querySelector('lazy-img');
+			expect(img._observedTarget).toBe(document.querySelector('.parent'));
+
+			img.setAttribute('container', '.card');
+
+			expect(img._observedTarget).toBe(document.querySelector('.card'));
+		});
+
+		it('should re-resolve when the element moves', () => {
+			document.body.innerHTML =
+				'<section class="a"><lazy-img container="section" src="test.jpg"></lazy-img></section><section class="b"></section>';
+			const img = document.querySelector('lazy-img');
+			expect(img._observedTarget).toBe(document.querySelector('.a'));
+
+			document.querySelector('.b').appendChild(img);
+
+			expect(img._observedTarget).toBe(document.querySelector('.b'));
+		});
+	});
+
+	describe('Light DOM fallback image', () => {
+		// Child changes reach the element through its MutationObserver
+		const flushMutations = () =>
+			new Promise((resolve) => setTimeout(resolve, 0));
+
+		it('should take image attributes from a <noscript> child', async () => {
+			element.innerHTML =
+				'<noscript><img src="photo.jpg" alt="A photo" width="800" height="600"></noscript>';
+			await flushMutations();
+
+			const img = element.shadowRoot.querySelector('img');
+			expect(img.getAttribute('src')).toBe('photo.jpg');
+			expect(img.getAttribute('alt')).toBe('A photo');
+			expect(img.getAttribute('width')).toBe('800');
+			expect(img.getAttribute('height')).toBe('600');
+		});
+
+		it('should parse <noscript> content that arrives as text', async () => {
+			const noscript = document.createElement('noscript');
+			noscript.textContent = '<img src="photo.jpg" alt="A photo">';
+			element.appendChild(noscript);
+			await flushMutations();
+
+			const img = element.shadowRoot.querySelector('img');
+			expect(img.getAttribute('src')).toBe('photo.jpg');
+			expect(img.getAttribute('alt')).toBe('A photo');
+		});
+
+		it('should read data-src and data-srcset from a child <img>', async () => {
+			element.innerHTML =
+				'<img data-src="photo.jpg" data-srcset="photo-2x.jpg 2x" alt="A photo">';
+			await flushMutations();
+
+			const img = element.shadowRoot.querySelector('img');
+			expect(img.getAttribute('src')).toBe('photo.jpg');
+			expect(img.getAttribute('srcset')).toBe('photo-2x.jpg 2x');
+			expect(img.getAttribute('alt')).toBe('A photo');
+		});
+
+		it('should let host attributes win over the child image', async () => {
+			element.setAttribute('alt', 'Host alt');
+			element.innerHTML =
+				'<noscript><img src="photo.jpg" alt="Child alt" loading="lazy"></noscript>';
+			await flushMutations();
+
+			const img = element.shadowRoot.querySelector('img');
+			expect(img.getAttribute('src')).toBe('photo.jpg');
+			expect(img.getAttribute('alt')).toBe('Host alt');
+			expect(img.getAttribute('loading')).toBe('lazy');
+		});
+
+		it('should keep honoring the loading conditions', () => {
+			document.body.removeChild(element);
+			element = document.createElement('lazy-img');
+			element.setAttribute('min-inline-size', '600');
+			element.innerHTML =
+				'<noscript><img src="photo.jpg" alt="A photo"></noscript>';
+			document.body.appendChild(element);
+
+			element._currentSize = 400;
+			element._checkAndLoad();
+			expect(element.shadowRoot.querySelector('img')).toBeFalsy();
+
+			element._currentSize = 800;
+			element._checkAndLoad();
+			expect(
+				element.shadowRoot.querySelector('img').getAttribute('src'),
+			).toBe('photo.jpg');
+		});
+
+		it('should leave host attribute changes to attributeChangedCallback', async () => {
+			element.innerHTML = '<img data-src="photo.jpg" alt="">';
+			await flushMutations();
+			const render = vi.spyOn(element, 'render');
+			const cached = element._lightImageAttributes;
+
+			element.setAttribute('type', 'image/avif');
+			await flushMutations();
+
+			expect(render).not.toHaveBeenCalled();
+			expect(element._lightImageAttributes).toBe(cached);
+		});
+
+		it('should pick up a child image added later', async () => {
+			element.innerHTML = '<img data-src="photo.jpg" alt="">';
+			await flushMutations();
+
+			expect(
+				element.shadowRoot.querySelector('img').getAttribute('src'),
+			).toBe('photo.jpg');
+		});
+	});
+
+	describe('Server-rendered shadow roots', () => {
+		// happy-dom doesn't parse declarative shadow roots, so hand the
+		// constructor a pre-rendered root the way the parser would
+		function createServerRendered(html, attributes = {}, children = '') {
+			const donor = document.createElement('div');
+			const root = donor.attachShadow({ mode: 'open' });
+			root.innerHTML = html;
+			Object.defineProperty(LazyImgElement.prototype, 'shadowRoot', {
+				configurable: true,
+				get: () => root,
+			});
+			const attachSpy = vi.spyOn(
+				LazyImgElement.prototype,
+				'attachShadow',
+			);
+			try {
+				const img = document.createElement('lazy-img');
+				Object.defineProperty(img, 'shadowRoot', { get: () => root });
+				// Parsed children are in place by the time the element upgrades
+				img.innerHTML = children;
+				for (const [name, value] of Object.entries(attributes)) {
+					img.setAttribute(name, value);
+				}
+				return { img, root, attachSpy };
+			} finally {
+				delete LazyImgElement.prototype.shadowRoot;
+			}
+		}
+
+		it('should adopt the existing shadow root', () => {
+			const { img, root, attachSpy } = createServerRendered(
+				`<style>${LazyImgElement.STYLES}</style><img src="test.jpg" alt="">`,
+				{ src: 'test.jpg' },
+			);
+			document.body.appendChild(img);
+
+			expect(attachSpy).not.toHaveBeenCalled();
+			expect(root.querySelectorAll('style')).toHaveLength(1);
+			expect(root.querySelectorAll('img')).toHaveLength(1);
+			expect(img.loadState).toBe('loading');
+		});
+
+		it('should listen to the server-rendered image', () => {
+			const { img, root } = createServerRendered(
+				'<style></style><img src="test.jpg" alt="">',
+				{ src: 'test.jpg' },
+			);
+			document.body.appendChild(img);
+
+			root.querySelector('img').dispatchEvent(new Event('load'));
+
+			expect(img.loadState).toBe('loaded');
+			expect(img.hasAttribute('loaded')).toBe(true);
+		});
+
+		it('should pick up an image that loaded before upgrading', () => {
+			const { img, root } = createServerRendered(
+				'<style></style><img src="test.jpg" alt="">',
+				{ src: 'test.jpg' },
+			);
+			const inner = root.querySelector('img');
+			Object.defineProperty(inner, 'complete', { value: true });
+			Object.defineProperty(inner, 'naturalWidth', { value: 800 });
+			const loadedSpy = vi.fn();
+			img.addEventListener('lazy-img:loaded', loadedSpy);
+
+			document.body.appendChild(img);
+
+			expect(img.loadState).toBe('loaded');
+			expect(loadedSpy).toHaveBeenCalled();
+		});
+
+		it('should keep an adopted image whose attributes contain &', () => {
+			const { img, root } = createServerRendered(
+				'<style></style><img src="a.jpg?w=1&amp;h=2" alt="Tom &amp; Jerry">',
+				{ src: 'a.jpg?w=1&h=2', alt: 'Tom & Jerry' },
+			);
+			const inner = root.querySelector('img');
+			Object.defineProperty(inner, 'complete', { value: true });
+			Object.defineProperty(inner, 'naturalWidth', { value: 800 });
+
+			document.body.appendChild(img);
+
+			expect(root.querySelector('img')).toBe(inner);
+			expect(inner.getAttribute('src')).toBe('a.jpg?w=1&h=2');
+			expect(inner.getAttribute('alt')).toBe('Tom & Jerry');
+			expect(img.loadState).toBe('loaded');
+		});
+
+		it('should adopt a server-rendered picture', () => {
+			const { img, root } = createServerRendered(
+				'<style></style><picture><source type="image/avif" srcset="test.avif" data-server><img src="test.jpg" alt=""></picture>',
+				{ src: 'test.jpg' },
+				'<source type="image/avif" srcset="test.avif">',
+			);
+			const picture = root.querySelector('picture');
+			const inner = root.querySelector('img');
+			Object.defineProperty(inner, 'complete', { value: false });
+
+			document.body.appendChild(img);
+
+			expect(root.querySelector('picture')).toBe(picture);
+			// Rebuilding the sources would start the image over
+			expect(picture.querySelectorAll('source')).toHaveLength(1);
+			expect(
+				picture.querySelector('source').hasAttribute('data-server'),
+			).toBe(true);
+			expect(inner.parentNode).toBe(picture);
+			expect(img.loadState).toBe('loading');
+		});
+
+		it('should keep the server-rendered reserved space', () => {
+			const { img, root } = createServerRendered(
+				'<style></style><div class="reserved" aria-hidden="true" style="inline-size: 800px; aspect-ratio: 800 / 600"></div>',
+				{ query: 'view', width: '800', height: '600', src: 'test.jpg' },
+			);
+			const spacer = root.querySelector('.reserved');
+			document.body.appendChild(img);
+
+			expect(root.querySelectorAll('.reserved')).toHaveLength(1);
+			expect(root.querySelector('.reserved')).toBe(spacer);
+			expect(spacer.style.inlineSize).toBe('800px');
+
+			img._intersectionCallback({ isIntersecting: true });
+			expect(root.querySelector('.reserved')).toBeNull();
+		});
+
+		it('should reuse the server-rendered placeholder', () => {
+			const { img, root } = createServerRendered(
+				'<style></style><div class="placeholder" part="placeholder" aria-hidden="true"></div>',
+				{ query: 'view', placeholder: '#3a5f7d', src: 'test.jpg' },
+			);
+			document.body.appendChild(img);
+
+			expect(root.querySelectorAll('.placeholder')).toHaveLength(1);
+			expect(root.querySelector('img')).toBeFalsy();
+		});
+	});
+
+	describe('HTML escaping', () => {
+		it('should escape HTML in src attribute', () => {
+			element.setAttribute(
+				'src',
+				'test.jpg"><script>alert("xss")</script>',
+			);
+
+			// Values are set as attributes, never parsed as markup
+			expect(element.shadowRoot.querySelector('script')).toBeNull();
+			expect(element.shadowRoot.querySelectorAll('img')).toHaveLength(1);
+			expect(
+				element.shadowRoot.querySelector('img').getAttribute('src'),
+			).toBe('test.jpg"><script>alert("xss")</script>');
+		});
+
+		it('should escape HTML in alt attribute', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('alt', '<script>alert("xss")</script>');
+
+			expect(element.shadowRoot.querySelector('script')).toBeNull();
+			expect(
+				element.shadowRoot.querySelector('img').getAttribute('alt'),
+			).toBe('<script>alert("xss")</script>');
+		});
+	});
+
+	describe('Performance', () => {
+		it('should throttle resize checks', () => {
+			vi.useFakeTimers();
+
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('min-inline-size', '500');
+
+			const checkSpy = vi.spyOn(element, '_checkAndLoad');
+
+			// Trigger multiple throttled calls
+			element._throttledResize(() => element._checkAndLoad());
+			element._throttledResize(() => element._checkAndLoad());
+			element._throttledResize(() => element._checkAndLoad());
+
+			// Should not be called yet
+			expect(checkSpy).not.toHaveBeenCalled();
+
+			// Fast forward time
+			vi.advanceTimersByTime(150);
+
+			// Should be called once
+			expect(checkSpy).toHaveBeenCalledTimes(1);
+
+			vi.useRealTimers();
+		});
+	});
+
+	describe('Edge cases', () => {
+		it('should handle invalid min-inline-size', () => {
+			const consoleSpy = vi.spyOn(console, 'warn');
+
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('min-inline-size', 'invalid');
+
+			element._checkAndLoad();
+
+			expect(consoleSpy).toHaveBeenCalledWith(
+				expect.stringContaining('valid number'),
+			);
+		});
+
+		it('should not reload image if already loaded', () => {
+			element.setAttribute('src', 'test.jpg');
+			element._loaded = true;
+
+			const initialHTML = element.shadowRoot.innerHTML;
+
+			// Try to change src
+			element.setAttribute('src', 'new-test.jpg');
+
+			// Should not have changed because already loaded
+			const newHTML = element.shadowRoot.innerHTML;
+			expect(newHTML).toBe(initialHTML);
+		});
+
+		it('should handle missing src attribute', () => {
+			element.setAttribute('alt', 'No source');
+
+			const img = element.shadowRoot.querySelector('img');
+			expect(img).toBeFalsy();
+		});
+	});
+
+	describe('CSS Custom Properties', () => {
+		it('should support --lazy-img-display custom property', () => {
+			element.setAttribute('src', 'test.jpg');
+
+			const style = element.shadowRoot.querySelector('style');
+			expect(style.textContent).toContain('--lazy-img-display');
+		});
+	});
+
+	describe('State attributes', () => {
+		it('should set loaded attribute when image loads', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('alt', 'Test');
+
+			// Initially should not have loaded attribute
+			expect(element.hasAttribute('loaded')).toBe(false);
+
+			// Trigger load
+			element._loadImage();
+			expect(element.hasAttribute('loaded')).toBe(false);
+			fireImageEvent(element, 'load');
+
+			// Should now have loaded attribute
+			expect(element.hasAttribute('loaded')).toBe(true);
+		});
+
+		it('should set qualifies attribute when conditions are met', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('min-inline-size', '300');
+
+			// Set current size below threshold
+			element._currentSize = 200;
+			element._checkAndLoad();
+
+			// Should not qualify
+			expect(element.hasAttribute('qualifies')).toBe(false);
+
+			// Set current size above threshold
+			element._currentSize = 400;
+			element._checkAndLoad();
+
+			// Should qualify
+			expect(element.hasAttribute('qualifies')).toBe(true);
+		});
+
+		it('should remove qualifies attribute when conditions are no longer met', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('min-inline-size', '300');
+
+			// Set current size above threshold
+			element._currentSize = 400;
+			element._checkAndLoad();
+			expect(element.hasAttribute('qualifies')).toBe(true);
+
+			// Set current size below threshold
+			element._currentSize = 200;
+			element._checkAndLoad();
+			expect(element.hasAttribute('qualifies')).toBe(false);
+		});
+
+		it('should maintain loaded attribute even when qualifies changes', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('min-inline-size', '300');
+
+			// Load the image
+			element._currentSize = 400;
+			element._checkAndLoad();
+			fireImageEvent(element, 'load');
+			expect(element.hasAttribute('loaded')).toBe(true);
+			expect(element.hasAttribute('qualifies')).toBe(true);
+
+			// Resize below threshold
+			element._currentSize = 200;
+			element._checkAndLoad();
+
+			// loaded should persist, qualifies should be removed
+			expect(element.hasAttribute('loaded')).toBe(true);
+			expect(element.hasAttribute('qualifies')).toBe(false);
+		});
+
+		it('should restore qualifies when resized back above threshold after loading', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('min-inline-size', '300');
+
+			// Initial state - below threshold
+			element._currentSize = 200;
+			element._checkAndLoad();
+			expect(element.hasAttribute('loaded')).toBe(false);
+			expect(element.hasAttribute('qualifies')).toBe(false);
+
+			// Resize above threshold - should load
+			element._currentSize = 400;
+			element._checkAndLoad();
+			fireImageEvent(element, 'load');
+			expect(element.hasAttribute('loaded')).toBe(true);
+			expect(element.hasAttribute('qualifies')).toBe(true);
+
+			// Resize below threshold - qualifies should be removed
+			element._currentSize = 200;
+			element._checkAndLoad();
+			expect(element.hasAttribute('loaded')).toBe(true);
+			expect(element.hasAttribute('qualifies')).toBe(false);
+
+			// Resize above threshold again - qualifies should come back
+			element._currentSize = 400;
+			element._checkAndLoad();
+			expect(element.hasAttribute('loaded')).toBe(true);
+			expect(element.hasAttribute('qualifies')).toBe(true);
+		});
+
+		it('should always set qualifies when no conditions are specified', () => {
+			element.setAttribute('src', 'test.jpg');
+
+			element._checkAndLoad();
+
+			expect(element.hasAttribute('qualifies')).toBe(true);
+		});
+	});
+
+	describe('View mode (IntersectionObserver)', () => {
+		it('should load image when element intersects viewport with default settings', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('query', 'view');
+			element.connectedCallback();
+
+			// happy-dom's IntersectionObserver never reports, so intersect by hand
+			element._intersectionCallback({ isIntersecting: true });
+			const img = element.shadowRoot.querySelector('img');
+			expect(img).toBeTruthy();
+			expect(img.getAttribute('src')).toBe('test.jpg');
+			fireImageEvent(element, 'load');
+			expect(element.hasAttribute('loaded')).toBe(true);
+		});
+
+		it('should parse entry X% as threshold', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('query', 'view');
+			element.setAttribute('view-range-start', 'entry 50%');
+			element.connectedCallback();
+
+			expect(element._intersectionConfig.threshold).toBe(0.5);
+			expect(element._intersectionConfig.rootMargin).toBe('0px');
+		});
+
+		it('should parse entry -Xpx as rootMargin for preloading', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('query', 'view');
+			element.setAttribute('view-range-start', 'entry -200px');
+			element.connectedCallback();
+
+			expect(element._intersectionConfig.rootMargin).toBe(
+				'0px 0px 200px 0px',
+			);
+			expect(element._intersectionConfig.threshold).toBe(0);
+		});
+
+		it('should share IntersectionObserver between instances with same config', () => {
+			const element1 = document.createElement('lazy-img');
+			const element2 = document.createElement('lazy-img');
+
+			document.body.appendChild(element1);
+			document.body.appendChild(element2);
+
+			element1.setAttribute('src', 'test1.jpg');
+			element1.setAttribute('query', 'view');
+			element1.setAttribute('view-range-start', 'entry 25%');
+			element1.connectedCallback();
+
+			element2.setAttribute('src', 'test2.jpg');
+			element2.setAttribute('query', 'view');
+			element2.setAttribute('view-range-start', 'entry 25%');
+			element2.connectedCallback();
+
+			// Both should have same config
+			expect(element1._intersectionConfig.threshold).toBe(
+				element2._intersectionConfig.threshold,
+			);
+			expect(element1._intersectionConfig.rootMargin).toBe(
+				element2._intersectionConfig.rootMargin,
+			);
+
+			// Both should have callbacks registered
+			expect(element1._intersectionCallback).toBeTruthy();
+			expect(element2._intersectionCallback).toBeTruthy();
+
+			// Clean up
+			document.body.removeChild(element1);
+			document.body.removeChild(element2);
+		});
+
+		it('should clean up IntersectionObserver callback on disconnect', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('query', 'view');
+			element.setAttribute('view-range-start', 'entry 10%');
+			element.connectedCallback();
+
+			expect(element._intersectionCallback).toBeTruthy();
+			expect(element._intersectionConfig).toBeTruthy();
+
+			element.disconnectedCallback();
+
+			expect(element._intersectionCallback).toBeNull();
+			expect(element._intersectionConfig).toBeNull();
+		});
+
+		it('should automatically clean up shared observer when all instances disconnect', () => {
+			const element1 = document.createElement('lazy-img');
+			const element2 = document.createElement('lazy-img');
+
+			document.body.appendChild(element1);
+			document.body.appendChild(element2);
+
+			element1.setAttribute('src', 'test1.jpg');
+			element1.setAttribute('query', 'view');
+			element1.setAttribute('view-range-start', 'entry 75%');
+			element1.connectedCallback();
+
+			element2.setAttribute('src', 'test2.jpg');
+			element2.setAttribute('query', 'view');
+			element2.setAttribute('view-range-start', 'entry 75%');
+			element2.connectedCallback();
+
+			// Disconnect first element
+			element1.disconnectedCallback();
+			expect(element1._intersectionCallback).toBeNull();
+
+			// Disconnect second element
+			element2.disconnectedCallback();
+			expect(element2._intersectionCallback).toBeNull();
+
+			// Clean up DOM
+			document.body.removeChild(element1);
+			document.body.removeChild(element2);
+		});
+
+		it('should only notify the element an intersection entry belongs to', () => {
+			const observers = [];
+			vi.stubGlobal(
+				'IntersectionObserver',
+				class {
+					constructor(callback) {
+						this.callback = callback;
+						observers.push(this);
+					}
+
+					observe() {}
+
+					unobserve() {}
+
+					disconnect() {}
+				},
+			);
+
+			const element1 = document.createElement('lazy-img');
+			const element2 = document.createElement('lazy-img');
+			for (const el of [element1, element2]) {
+				el.setAttribute('query', 'view');
+				el.setAttribute('view-range-start', 'entry 33%');
+				el.setAttribute('src', 'test.jpg');
+				document.body.appendChild(el);
+			}
+
+			expect(observers).toHaveLength(1);
+			observers[0].callback([
+				{ isIntersecting: true, target: element1 },
+				{ isIntersecting: false, target: element2 },
+			]);
+
+			expect(element1._loaded).toBe(true);
+			expect(element2._loaded).toBe(false);
+
+			element1.remove();
+			element2.remove();
+			vi.unstubAllGlobals();
+		});
+
+		it('should warn on invalid view-range-start percentage', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('query', 'view');
+			element.setAttribute('view-range-start', 'entry 150%');
+			element.connectedCallback();
+
+			expect(consoleSpy).toHaveBeenCalledWith(
+				expect.stringContaining(
+					'view-range-start percentage must be between 0 and 100',
+				),
+			);
+
+			consoleSpy.mockRestore();
+		});
+
+		it('should warn on invalid view-range-start format', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('query', 'view');
+			element.setAttribute('view-range-start', 'invalid format');
+			element.connectedCallback();
+
+			expect(consoleSpy).toHaveBeenCalledWith(
+				expect.stringContaining('invalid view-range-start format'),
+			);
+
+			consoleSpy.mockRestore();
+		});
+
+		it('should support the other view-timeline ranges', () => {
+			const cases = [
+				['cover', '0px', 0],
+				['cover 25%', '0px 0px -25% 0px', 0],
+				['cover -100px', '0px 0px 100px 0px', 0],
+				['contain', '0px', 1],
+				['contain 10%', '0px 0px -10% 0px', 1],
+				['exit 10%', '10% 0px -110% 0px', 0],
+				['entry-crossing 40%', '0px', 0.4],
+				['entry 50px', '0px 0px -50px 0px', 0],
+			];
+			for (const [value, rootMargin, threshold] of cases) {
+				element.setAttribute('view-range-start', value);
+				element._unobserveView();
+				element._observeView();
+				expect(element._intersectionConfig).toMatchObject({
+					rootMargin,
+					threshold,
+				});
+			}
+		});
+
+		it('should convert vh, vw, and rem offsets to pixels', () => {
+			const cases = [
+				['entry -10vh', `${window.innerHeight / 10}px`],
+				['entry -10vw', `${window.innerWidth / 10}px`],
+				['entry -2rem', '32px'],
+			];
+			for (const [value, margin] of cases) {
+				element.setAttribute('view-range-start', value);
+				element._unobserveView();
+				element._observeView();
+				expect(element._intersectionConfig.rootMargin).toBe(
+					`0px 0px ${margin} 0px`,
+				);
+			}
+		});
+
+		it('should clamp contain for targets larger than the root', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('query', 'view');
+			element.setAttribute('view-range-start', 'contain');
+			const entry = (isIntersecting) => ({
+				isIntersecting,
+				target: element,
+				rootBounds: { width: 800, height: 600 },
+				boundingClientRect: { width: 400, height: 1200 },
+			});
+
+			element._intersectionCallback(entry(false));
+			expect(element._intersectionConfig.threshold).toBe(0.5);
+			expect(element._loaded).toBe(false);
+
+			element._intersectionCallback(entry(true));
+			expect(element._loaded).toBe(true);
+		});
+
+		it('should observe again after the viewport resizes', () => {
+			vi.useFakeTimers();
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('query', 'view');
+			element.setAttribute('view-range-start', 'entry -10vh');
+			const innerHeight = window.innerHeight;
+
+			try {
+				window.innerHeight = 1000;
+				window.dispatchEvent(new Event('resize'));
+				vi.advanceTimersByTime(element._throttleDelay);
+				expect(element._intersectionConfig.rootMargin).toBe(
+					'0px 0px 100px 0px',
+				);
+			} finally {
+				window.innerHeight = innerHeight;
+				vi.useRealTimers();
+			}
+		});
+
+		it('should stop watching resizes once loaded', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('query', 'view');
+			element.setAttribute('view-range-start', 'entry -10vh');
+			expect(element._viewResizeCallback).toBeTruthy();
+
+			element._intersectionCallback({ isIntersecting: true });
+			expect(element._loaded).toBe(true);
+			expect(element._viewResizeCallback).toBeNull();
+		});
+
+		it('should only accept percentages for exit', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+			element.setAttribute('view-range-start', 'exit 20px');
+			element._unobserveView();
+			element._observeView();
+
+			expect(consoleSpy).toHaveBeenCalledWith(
+				'lazy-img: view-range-start "exit" offsets must be percentages, got "exit 20px"',
+			);
+			expect(element._intersectionConfig.rootMargin).toBe('0px');
+		});
+
+		describe('view-root', () => {
+			const observers = [];
+
+			beforeEach(() => {
+				observers.length = 0;
+				vi.stubGlobal(
+					'IntersectionObserver',
+					class {
+						constructor(callback, options) {
+							this.options = options;
+							observers.push(this);
+						}
+
+						observe() {}
+
+						unobserve() {}
+
+						disconnect() {}
+					},
+				);
+			});
+
+			afterEach(() => {
+				vi.unstubAllGlobals();
+			});
+
+			function createIn(scroller) {
+				const el = createLazyImg(
+					{
+						src: 'test.jpg',
+						query: 'view',
+						'view-root': '.scroller',
+						'view-range-start': 'entry -100px',
+					},
+					scroller,
+				);
+				return el;
+			}
+
+			it('should observe against the matching scroll container', () => {
+				const scroller = document.createElement('div');
+				scroller.className = 'scroller';
+				document.body.appendChild(scroller);
+				createIn(scroller);
+
+				expect(observers).toHaveLength(1);
+				expect(observers[0].options.root).toBe(scroller);
+				expect(observers[0].options.rootMargin).toBe(
+					'0px 0px 100px 0px',
+				);
+			});
+
+			it('should share observers per root', () => {
+				const scrollers = [1, 2].map(() => {
+					const scroller = document.createElement('div');
+					scroller.className = 'scroller';
+					document.body.appendChild(scroller);
+					return scroller;
+				});
+				createIn(scrollers[0]);
+				createIn(scrollers[0]);
+				createIn(scrollers[1]);
+
+				expect(observers.map(({ options }) => options.root)).toEqual(
+					scrollers,
+				);
+			});
+
+			it('should apply margins along a horizontal scroll axis', () => {
+				const scroller = document.createElement('div');
+				scroller.className = 'scroller';
+				scroller.style.overflowX = 'auto';
+				scroller.style.overflowY = 'hidden';
+				document.body.appendChild(scroller);
+				createIn(scroller);
+
+				scroller.style.direction = 'rtl';
+				createIn(scroller);
+
+				expect(
+					observers.map(({ options }) => options.rootMargin),
+				).toEqual(['0px 100px 0px 0px', '0px 0px 0px 100px']);
+			});
+
+			it('should warn and fall back to the viewport without a match', () => {
+				const consoleSpy = vi
+					.spyOn(console, 'warn')
+					.mockImplementation(() => {});
+				createIn(document.body);
+
+				expect(consoleSpy).toHaveBeenCalledWith(
+					'lazy-img: no ancestor matches view-root ".scroller"',
+				);
+				expect(observers[0].options.root).toBeNull();
+			});
+		});
+
+		it('should use default values for empty view-range-start', () => {
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('query', 'view');
 			// No view-range-start set, should use default "entry 0%"
 			element.connectedCallback();
 
-			expect(element._intersectionConfig.threshold).toBe(0);
-			expect(element._intersectionConfig.rootMargin).toBe('0px');
-		});
+			expect(element._intersectionConfig.threshold).toBe(0);
+			expect(element._intersectionConfig.rootMargin).toBe('0px');
+		});
+
+		it('should not update qualifies attribute in view mode', () => {
+			// Remove and recreate element to avoid double connectedCallback
+			document.body.removeChild(element);
+			element = document.createElement('lazy-img');
+
+			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('query', 'view');
+			document.body.appendChild(element); // This triggers connectedCallback
+
+			// In view mode, qualifies should not be set (one-time load trigger)
+			expect(element.hasAttribute('qualifies')).toBe(false);
+
+			// Even after loading, qualifies should not be set in view mode
+			element._intersectionCallback({ isIntersecting: true });
+			expect(element._loaded).toBe(true);
+			expect(element.hasAttribute('qualifies')).toBe(false);
+		});
+	});
+
+	describe('Combined view and size queries', () => {
+		let observers;
+
+		function intersect(isIntersecting) {
+			observers[0].callback([{ isIntersecting, target: element }]);
+		}
+
+		function measure(inlineSize) {
+			element._currentSize = inlineSize;
+			element._currentBlockSize = 300;
+			element._checkAndLoad();
+		}
+
+		beforeEach(() => {
+			observers = [];
+			vi.stubGlobal(
+				'IntersectionObserver',
+				class {
+					constructor(callback) {
+						this.callback = callback;
+						observers.push(this);
+					}
+
+					observe() {}
+
+					unobserve() {}
 
-		it('should not update qualifies attribute in view mode', (done) => {
-			// Remove and recreate element to avoid double connectedCallback
+					disconnect() {}
+				},
+			);
 			document.body.removeChild(element);
-			element = document.createElement('lazy-img');
+			element = createLazyImg({
+				src: 'test.jpg',
+				'min-inline-size': '600',
+				query: 'container view',
+			});
+		});
+
+		afterEach(() => {
+			vi.unstubAllGlobals();
+		});
+
+		it('should wait for the element to come into view', () => {
+			measure(800);
+			expect(element.hasAttribute('qualifies')).toBe(true);
+			expect(element._loaded).toBe(false);
+
+			intersect(true);
+			expect(element._loaded).toBe(true);
+			expect(element._intersectionCallback).toBeNull();
+		});
+
+		it('should wait for the size conditions once in view', () => {
+			measure(400);
+			intersect(true);
+			expect(element.hasAttribute('qualifies')).toBe(false);
+			expect(element._loaded).toBe(false);
+
+			measure(800);
+			expect(element._loaded).toBe(true);
+		});
+
+		it('should not load after leaving the view', () => {
+			intersect(true);
+			intersect(false);
+			measure(800);
+
+			expect(element._loaded).toBe(false);
+		});
+
+		it('should combine media mode with view', () => {
+			const el = createLazyImg({ src: 'test.jpg', query: 'media view' });
+
+			expect(el._handleResize).toBeTruthy();
+			expect(el._intersectionCallback).toBeTruthy();
+			expect(el._loaded).toBe(false);
+		});
+
+		it('should warn about invalid query combinations', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+			element.setAttribute('query', 'container media');
+
+			expect(consoleSpy).toHaveBeenCalledWith(
+				expect.stringContaining('invalid query "container media"'),
+			);
+		});
+	});
 
+	describe('Live reconfiguration', () => {
+		let observers;
+
+		beforeEach(() => {
+			observers = [];
+			vi.stubGlobal(
+				'IntersectionObserver',
+				class {
+					constructor(callback, options) {
+						this.options = options;
+						this.targets = new Set();
+						this.disconnected = false;
+						observers.push(this);
+					}
+
+					observe(target) {
+						this.targets.add(target);
+					}
+
+					unobserve(target) {
+						this.targets.delete(target);
+					}
+
+					disconnect() {
+						this.disconnected = true;
+					}
+				},
+			);
 			element.setAttribute('src', 'test.jpg');
+			element.setAttribute('min-inline-size', '600');
+		});
+
+		afterEach(() => {
+			vi.unstubAllGlobals();
+		});
+
+		it('should move from a ResizeObserver to an IntersectionObserver', () => {
+			expect(element._resizeCallback).toBeTruthy();
+
 			element.setAttribute('query', 'view');
-			document.body.appendChild(element); // This triggers connectedCallback
 
-			// In view mode, qualifies should not be set (one-time load trigger)
-			expect(element.hasAttribute('qualifies')).toBe(false);
+			expect(element._resizeCallback).toBeNull();
+			expect(element._intersectionCallback).toBeTruthy();
+			expect(observers[0].targets.has(element)).toBe(true);
+			// Switching modes doesn't count as coming into view
+			expect(element._loaded).toBe(false);
+		});
+
+		it('should keep a loaded image when the query changes', () => {
+			element._currentSize = 800;
+			element._checkAndLoad();
+			fireImageEvent(element, 'load');
+			const img = element.shadowRoot.querySelector('img');
+
+			element.setAttribute('query', 'view');
+			element.setAttribute('trigger', 'intent');
+
+			expect(element._loaded).toBe(true);
+			expect(element.loadState).toBe('loaded');
+			expect(element.hasAttribute('loaded')).toBe(true);
+			expect(element.shadowRoot.querySelector('img')).toBe(img);
+			expect(element._intersectionCallback).toBeNull();
+			expect(element._intentCallback).toBeNull();
+		});
+
+		it('should move from view mode back to a size query', () => {
+			element.setAttribute('query', 'view');
+			element.setAttribute('query', 'media');
+
+			expect(observers[0].disconnected).toBe(true);
+			expect(element._intersectionCallback).toBeNull();
+			expect(element._handleResize).toBeTruthy();
+		});
+
+		it('should move between shared IntersectionObservers', () => {
+			element.setAttribute('query', 'view');
+			element.setAttribute('view-range-start', 'entry 50%');
+
+			expect(observers).toHaveLength(2);
+			expect(observers[0].targets.has(element)).toBe(false);
+			expect(observers[0].disconnected).toBe(true);
+			expect(observers[1].options.threshold).toBe(0.5);
+			expect(observers[1].targets.has(element)).toBe(true);
+		});
+
+		it('should drop watchers the new configuration no longer needs', () => {
+			element.setAttribute('min-effective-type', '3g');
+			expect(element._networkCallback).toBeTruthy();
+
+			element.removeAttribute('min-effective-type');
+			expect(element._networkCallback).toBeNull();
+		});
+
+		it('should rebuild watchers after the image has loaded', () => {
+			element.removeAttribute('min-inline-size');
+			expect(element._loaded).toBe(true);
+
+			element.setAttribute('query', 'media');
+			expect(element._resizeCallback).toBeNull();
+		});
+
+		it('should leave watchers alone while disconnected', () => {
+			document.body.removeChild(element);
+			element.setAttribute('query', 'view');
+
+			expect(element._intersectionCallback).toBeNull();
+			expect(observers).toHaveLength(0);
+
+			document.body.appendChild(element);
+			expect(element._intersectionCallback).toBeTruthy();
+		});
+	});
+
+	describe('Idle and deferred loading', () => {
+		let idleCallbacks;
+
+		function createElement(attributes) {
+			return createLazyImg({ src: 'test.jpg', ...attributes });
+		}
+
+		function runIdleCallback(timeRemaining = () => 50) {
+			const callback = idleCallbacks.shift();
+			callback({ didTimeout: false, timeRemaining });
+		}
+
+		beforeEach(() => {
+			idleCallbacks = [];
+			vi.stubGlobal('requestIdleCallback', (callback) => {
+				idleCallbacks.push(callback);
+				return idleCallbacks.length;
+			});
+		});
+
+		afterEach(() => {
+			// Let the shared idle scheduler finish
+			while (idleCallbacks.length) {
+				runIdleCallback();
+			}
+			vi.unstubAllGlobals();
+			vi.useRealTimers();
+		});
+
+		it('should load in an idle period in idle mode', () => {
+			const el = createElement({ query: 'idle' });
+			expect(el._loaded).toBe(false);
+			expect(el.hasAttribute('qualifies')).toBe(false);
+
+			runIdleCallback();
+			expect(el._loaded).toBe(true);
+		});
+
+		it('should wait for the window load event', () => {
+			vi.spyOn(document, 'readyState', 'get').mockReturnValue('loading');
+			const el = createElement({ query: 'idle' });
+			expect(idleCallbacks).toHaveLength(0);
+
+			window.dispatchEvent(new Event('load'));
+			runIdleCallback();
+			expect(el._loaded).toBe(true);
+		});
+
+		it('should spread loads across idle periods', () => {
+			const first = createElement({ query: 'idle' });
+			const second = createElement({ query: 'idle' });
+
+			let remaining = 1;
+			runIdleCallback(() => remaining--);
+			expect(first._loaded).toBe(true);
+			expect(second._loaded).toBe(false);
+
+			runIdleCallback();
+			expect(second._loaded).toBe(true);
+		});
+
+		it('should fall back to a timeout without requestIdleCallback', () => {
+			vi.stubGlobal('requestIdleCallback', undefined);
+			vi.useFakeTimers();
+			const el = createElement({ query: 'idle' });
+
+			vi.advanceTimersByTime(200);
+			expect(el._loaded).toBe(true);
+		});
+
+		it('should combine idle with size conditions', () => {
+			const el = createElement({
+				query: 'container idle',
+				'min-inline-size': '600',
+			});
+			runIdleCallback();
+			expect(el._loaded).toBe(false);
+
+			el._currentSize = 800;
+			el._checkAndLoad();
+			expect(el._loaded).toBe(true);
+		});
+
+		it('should wait for a named document event with defer-until', () => {
+			const el = createElement({ 'defer-until': 'test:hydrated' });
+			expect(el._loaded).toBe(false);
+
+			document.dispatchEvent(new Event('test:hydrated'));
+			expect(el._loaded).toBe(true);
+
+			// Later elements don't wait for an event that already fired
+			const later = createElement({ 'defer-until': 'test:hydrated' });
+			expect(later._loaded).toBe(true);
+		});
+
+		it('should wait for a promise registered with defer()', async () => {
+			let grantConsent;
+			const consent = new Promise((resolve) => {
+				grantConsent = resolve;
+			});
+			const el = createElement({ 'defer-until': 'test:consent' });
+			const released = LazyImgElement.defer('test:consent', consent);
+			expect(el._loaded).toBe(false);
+
+			grantConsent();
+			await released;
+			expect(el._loaded).toBe(true);
+		});
+
+		it('should stay deferred when the promise rejects', async () => {
+			const el = createElement({ 'defer-until': 'test:declined' });
+			await LazyImgElement.defer('test:declined', Promise.reject());
+
+			expect(el._loaded).toBe(false);
+		});
+
+		it('should report qualifies only once released', () => {
+			const el = createElement({
+				'defer-until': 'test:ready',
+				'min-inline-size': '100',
+			});
+			el._currentSize = 800;
+			el._checkAndLoad();
+			expect(el.hasAttribute('qualifies')).toBe(false);
+
+			document.dispatchEvent(new Event('test:ready'));
+			expect(el.hasAttribute('qualifies')).toBe(true);
+			expect(el._loaded).toBe(true);
+		});
+	});
+
+	describe('Click and intent triggers', () => {
+		function createElement(attributes, parent) {
+			return createLazyImg({ src: 'test.jpg', ...attributes }, parent);
+		}
+
+		it('should wait for the load button with trigger="click"', () => {
+			const el = createElement({
+				trigger: 'click',
+				alt: 'Infographic',
+				'size-hint': '2.4 MB',
+			});
+			const button = el.shadowRoot.querySelector('button');
+			expect(el.shadowRoot.querySelector('img')).toBeNull();
+			expect(button.getAttribute('part')).toBe('trigger');
+			expect(button.type).toBe('button');
+			expect(button.textContent).toBe('Load imageInfographic2.4 MB');
+
+			button.click();
+			expect(el._loaded).toBe(true);
+			expect(el.shadowRoot.querySelector('img')).not.toBeNull();
+			expect(el.shadowRoot.querySelector('button')).toBeNull();
+		});
+
+		it('should keep the button label in sync with alt and size-hint', () => {
+			const el = createElement({ trigger: 'click' });
+			const size = el.shadowRoot.querySelector('[part="trigger-size"]');
+			expect(size.hidden).toBe(true);
+
+			el.setAttribute('size-hint', '800 KB');
+			el.setAttribute('alt', 'Zoomed product');
+			expect(size.hidden).toBe(false);
+			expect(size.textContent).toBe('800 KB');
+			expect(
+				el.shadowRoot.querySelector('[part="trigger-alt"]').textContent,
+			).toBe('Zoomed product');
+		});
+
+		it('should place the button over the placeholder', () => {
+			const el = createElement({
+				trigger: 'click',
+				placeholder: '#3a5f7d',
+			});
+			expect(
+				el.shadowRoot.querySelector('.placeholder + .trigger'),
+			).not.toBeNull();
+		});
+
+		it('should still apply the other conditions after a click', () => {
+			const el = createElement({
+				trigger: 'click',
+				'min-inline-size': '600',
+			});
+			el.shadowRoot.querySelector('button').click();
+			el._currentSize = 400;
+			el._checkAndLoad();
+			expect(el._loaded).toBe(false);
+
+			el._currentSize = 800;
+			el._checkAndLoad();
+			expect(el._loaded).toBe(true);
+		});
+
+		it('should show the button again after reset()', () => {
+			const el = createElement({ trigger: 'click' });
+			el.shadowRoot.querySelector('button').click();
+			el.reset();
+
+			expect(el._loaded).toBe(false);
+			expect(el.shadowRoot.querySelector('button')).not.toBeNull();
+		});
+
+		it('should load on hover or focus of the closest link with trigger="intent"', () => {
+			const link = document.createElement('a');
+			link.href = '/product';
+			document.body.appendChild(link);
+			const el = createElement({ trigger: 'intent' }, link);
+			const other = createElement({ trigger: 'intent' }, link);
+			expect(el.shadowRoot.querySelector('button')).toBeNull();
+			expect(el._loaded).toBe(false);
+
+			link.dispatchEvent(new Event('focusin'));
+			expect(el._loaded).toBe(true);
+			expect(other._loaded).toBe(true);
+		});
+
+		it('should watch the intent-target ancestor', () => {
+			const card = document.createElement('article');
+			card.className = 'card';
+			const figure = document.createElement('figure');
+			card.appendChild(figure);
+			document.body.appendChild(card);
+			const el = createElement(
+				{ trigger: 'intent', 'intent-target': '.card' },
+				figure,
+			);
+
+			figure.dispatchEvent(new Event('pointerenter'));
+			expect(el._loaded).toBe(false);
+			card.dispatchEvent(new Event('pointerenter'));
+			expect(el._loaded).toBe(true);
+		});
+
+		it('should stop listening for intent when disconnected', () => {
+			const el = createElement({ trigger: 'intent' });
+			el.remove();
+			el.dispatchEvent(new Event('pointerenter'));
+			expect(el._loaded).toBe(false);
+		});
+
+		it('should warn about an invalid trigger and load normally', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+			const el = createElement({ trigger: 'hover' });
+
+			expect(consoleSpy).toHaveBeenCalledWith(
+				expect.stringContaining('invalid trigger "hover"'),
+			);
+			expect(el._trigger).toBeNull();
+			expect(el.shadowRoot.querySelector('button')).toBeNull();
+		});
+	});
+
+	describe('Host semantics', () => {
+		// happy-dom has no attachInternals, so stand in for ElementInternals
+		beforeEach(() => {
+			LazyImgElement.prototype.attachInternals = () => ({});
+		});
+
+		afterEach(() => {
+			delete LazyImgElement.prototype.attachInternals;
+		});
+
+		it('should expose the host as an image labelled by alt', () => {
+			const el = createLazyImg({
+				src: 'test.jpg',
+				alt: 'A sunset',
+				'min-inline-size': '9999',
+			});
+			expect(el.shadowRoot.querySelector('img')).toBeNull();
+			expect(el._internals.role).toBe('img');
+			expect(el._internals.ariaLabel).toBe('A sunset');
+		});
+
+		it('should keep the label in sync when alt changes', () => {
+			const el = createLazyImg({ src: 'test.jpg', alt: 'Before' });
+			el.setAttribute('alt', 'After');
+			expect(el._internals.ariaLabel).toBe('After');
+
+			el.removeAttribute('alt');
+			expect(el._internals.role).toBeNull();
+			expect(el._internals.ariaLabel).toBeNull();
+		});
+
+		it('should treat an empty alt as presentational', () => {
+			const el = createLazyImg({ src: 'test.jpg', alt: '' });
+			expect(el._internals.role).toBe('presentation');
+			expect(el._internals.ariaLabel).toBeNull();
+		});
+
+		it('should leave the role unset without an alt', () => {
+			const el = createLazyImg({ src: 'test.jpg' });
+			expect(el._internals.role).toBeNull();
+			expect(el._internals.ariaLabel).toBeNull();
+		});
+
+		it('should read alt from a light DOM image', () => {
+			const el = document.createElement('lazy-img');
+			el.innerHTML = '<img data-src="test.jpg" alt="From markup">';
+			document.body.appendChild(el);
+			expect(el._internals.role).toBe('img');
+			expect(el._internals.ariaLabel).toBe('From markup');
+		});
+
+		it('should step aside for the trigger button', () => {
+			const el = createLazyImg({
+				src: 'test.jpg',
+				alt: 'Infographic',
+				trigger: 'click',
+			});
+			expect(el._internals.role).toBeNull();
+
+			el.shadowRoot.querySelector('button').click();
+			expect(el._internals.role).toBe('img');
+			expect(el._internals.ariaLabel).toBe('Infographic');
+		});
+	});
+
+	describe('Source changes after load', () => {
+		function createLoadedElement(attributes = {}) {
+			const el = createLazyImg({
+				src: 'first.jpg',
+				'swap-on-change': '',
+				...attributes,
+			});
+			el.load({ force: true });
+			fireImageEvent(el, 'load');
+			return el;
+		}
+
+		function nextSourceChange(el) {
+			return new Promise((resolve) => {
+				el.addEventListener('lazy-img:sourcechange', resolve, {
+					once: true,
+				});
+			});
+		}
+
+		it('should ignore source changes after load without swap-on-change', async () => {
+			const el = createLoadedElement();
+			el.removeAttribute('swap-on-change');
+			el.setAttribute('src', 'second.jpg');
+			await Promise.resolve();
+
+			expect(el.shadowRoot.querySelector('img').getAttribute('src')).toBe(
+				'first.jpg',
+			);
+		});
+
+		it('should preload and decode the new source before swapping it in', async () => {
+			const el = createLoadedElement();
+			const img = el.shadowRoot.querySelector('img');
+			let finishDecode;
+			const decode = vi
+				.spyOn(HTMLImageElement.prototype, 'decode')
+				.mockImplementation(
+					() =>
+						new Promise((resolve) => {
+							finishDecode = resolve;
+						}),
+				);
+			const changed = nextSourceChange(el);
+
+			el.setAttribute('src', 'second.jpg');
+			el.setAttribute('srcset', 'second-2x.jpg 2x');
+			await Promise.resolve();
+			// One preload for both changes, with the current image kept
+			expect(decode).toHaveBeenCalledTimes(1);
+			expect(img.getAttribute('src')).toBe('first.jpg');
+			expect(el.hasAttribute('loaded')).toBe(true);
+
+			finishDecode();
+			const event = await changed;
+			expect(el.shadowRoot.querySelector('img')).toBe(img);
+			expect(img.getAttribute('src')).toBe('second.jpg');
+			expect(img.getAttribute('srcset')).toBe('second-2x.jpg 2x');
+			expect(el.hasAttribute('loaded')).toBe(true);
+			expect(event.detail).toEqual({
+				src: 'second.jpg',
+				previousSrc: 'first.jpg',
+				swapped: true,
+			});
+		});
+
+		it('should only swap in the latest source', async () => {
+			const el = createLoadedElement();
+			const img = el.shadowRoot.querySelector('img');
+
+			el.setAttribute('src', 'second.jpg');
+			await Promise.resolve();
+			el.setAttribute('src', 'third.jpg');
+			const event = await nextSourceChange(el);
+
+			expect(event.detail.src).toBe('third.jpg');
+			expect(img.getAttribute('src')).toBe('third.jpg');
+		});
+
+		it('should reset to unloaded when the element does not qualify', async () => {
+			const el = createLoadedElement({ 'min-inline-size': '600' });
+			el._currentSize = 400;
+			const changed = nextSourceChange(el);
+
+			el.setAttribute('src', 'second.jpg');
+			const event = await changed;
+			expect(event.detail.swapped).toBe(false);
+			expect(el._loaded).toBe(false);
+			expect(el.shadowRoot.querySelector('img')).toBeNull();
+
+			el._currentSize = 800;
+			el._checkAndLoad();
+			expect(el.shadowRoot.querySelector('img').getAttribute('src')).toBe(
+				'second.jpg',
+			);
+		});
+	});
+
+	describe('Preload hints', () => {
+		function getHints() {
+			return Array.from(
+				document.head.querySelectorAll('link[as="image"]'),
+			);
+		}
+
+		afterEach(() => {
+			getHints().forEach((link) => link.remove());
+			vi.unstubAllGlobals();
+		});
+
+		it('should preload an image that qualifies as it connects', () => {
+			createLazyImg({
+				src: 'hero.jpg',
+				srcset: 'hero-2x.jpg 2x',
+				sizes: '100vw',
+				fetchpriority: 'high',
+				preload: '',
+			});
+			const [link] = getHints();
+			expect(link.getAttribute('rel')).toBe('preload');
+			expect(link.getAttribute('href')).toBe('hero.jpg');
+			expect(link.getAttribute('imagesrcset')).toBe('hero-2x.jpg 2x');
+			expect(link.getAttribute('imagesizes')).toBe('100vw');
+			expect(link.getAttribute('fetchpriority')).toBe('high');
+		});
+
+		it('should share one preload hint between instances', () => {
+			createLazyImg({ src: 'hero.jpg', preload: '' });
+			createLazyImg({ src: 'hero.jpg', preload: '' });
+			expect(getHints()).toHaveLength(1);
+		});
+
+		it('should reuse a server-rendered hint for a URL with &', () => {
+			const server = document.createElement('link');
+			server.setAttribute('rel', 'preload');
+			server.setAttribute('as', 'image');
+			server.setAttribute('href', 'hero.jpg?w=1&h=2');
+			document.head.appendChild(server);
+
+			createLazyImg({ src: 'hero.jpg?w=1&h=2', preload: '' });
+			expect(getHints()).toEqual([server]);
+
+			server.remove();
+			createLazyImg({ src: 'hero.jpg?w=1&h=2', preload: '' });
+			expect(getHints()[0].getAttribute('href')).toBe('hero.jpg?w=1&h=2');
+		});
+
+		it('should not preload without preload or once connected', () => {
+			createLazyImg({ src: 'plain.jpg' });
+			const el = createLazyImg({
+				src: 'later.jpg',
+				preload: '',
+				'min-inline-size': '600',
+			});
+			el._currentSize = 800;
+			el._checkAndLoad();
+
+			expect(el._loaded).toBe(true);
+			expect(getHints()).toHaveLength(0);
+		});
+
+		function stubIntersectionObserver() {
+			const observers = [];
+			vi.stubGlobal(
+				'IntersectionObserver',
+				class {
+					constructor(callback, options) {
+						this.callback = callback;
+						this.options = options;
+						observers.push(this);
+					}
+
+					observe() {}
+
+					unobserve() {}
+
+					disconnect() {}
+				},
+			);
+			return observers;
+		}
+
+		function approach(observers, el) {
+			observers
+				.filter((observer) => observer.options.rootMargin === '150%')
+				.forEach((observer) =>
+					observer.callback([{ isIntersecting: true, target: el }]),
+				);
+		}
+
+		it('should prefetch view mode images as they approach', () => {
+			const observers = stubIntersectionObserver();
+			const el = createLazyImg({
+				src: 'below.jpg',
+				query: 'view',
+				preload: '',
+				'prefetch-margin': '150%',
+			});
+			expect(getHints()).toHaveLength(0);
+
+			approach(observers, el);
+			const [link] = getHints();
+			expect(link.getAttribute('rel')).toBe('prefetch');
+			expect(link.getAttribute('href')).toBe('below.jpg');
+			expect(el._loaded).toBe(false);
+			expect(el._approachCallback).toBeNull();
+		});
+
+		it('should not prefetch images with a srcset or already loaded', () => {
+			const observers = stubIntersectionObserver();
+			const responsive = createLazyImg({
+				src: 'below.jpg',
+				srcset: 'below-2x.jpg 2x',
+				query: 'view',
+				preload: '',
+				'prefetch-margin': '150%',
+			});
+			approach(observers, responsive);
+			expect(getHints()).toHaveLength(0);
+
+			const loaded = createLazyImg({
+				src: 'loaded.jpg',
+				query: 'view',
+				preload: '',
+				'prefetch-margin': '150%',
+			});
+			loaded._loaded = true;
+			approach(observers, loaded);
+			expect(getHints()).toHaveLength(0);
+		});
+
+		it('should remove a shared hint once no element needs it', () => {
+			const observers = stubIntersectionObserver();
+			const attributes = {
+				src: 'below.jpg',
+				query: 'view',
+				preload: '',
+				'prefetch-margin': '150%',
+			};
+			const first = createLazyImg(attributes);
+			const second = createLazyImg(attributes);
+			approach(observers, first);
+			approach(observers, second);
+			expect(getHints()).toHaveLength(1);
+
+			first.remove();
+			expect(getHints()).toHaveLength(1);
+			second.remove();
+			expect(getHints()).toHaveLength(0);
+		});
+
+		it('should remove a hint when the source changes', () => {
+			const observers = stubIntersectionObserver();
+			const el = createLazyImg({
+				src: 'below.jpg',
+				query: 'view',
+				preload: '',
+				'prefetch-margin': '150%',
+			});
+			approach(observers, el);
+			expect(getHints()).toHaveLength(1);
+
+			el.setAttribute('src', 'other.jpg');
+			expect(getHints()).toHaveLength(0);
+		});
+
+		it('should leave server-rendered hints in place', () => {
+			const observers = stubIntersectionObserver();
+			const server = document.createElement('link');
+			server.setAttribute('rel', 'preload');
+			server.setAttribute('as', 'image');
+			server.setAttribute('href', 'below.jpg');
+			document.head.appendChild(server);
+			const el = createLazyImg({
+				src: 'below.jpg',
+				query: 'view',
+				preload: '',
+				'prefetch-margin': '150%',
+			});
+			approach(observers, el);
+			expect(getHints()).toEqual([server]);
 
-			setTimeout(() => {
-				// Even after loading, qualifies should not be set in view mode
-				expect(element.hasAttribute('qualifies')).toBe(false);
-				done();
-			}, 100);
+			el.remove();
+			expect(getHints()).toEqual([server]);
 		});
 	});
 });
@@ -0,0 +1,139 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+	decodeBlurHash,
+	decodeThumbHash,
+	isBlurHash,
+	parsePlaceholder,
+	pixelsToDataURI,
+} from '../placeholder.js';
+
+const BLURHASH = 'LEHV6nWB2yk8pyo0adR*.7kCMdnj';
+const THUMBHASH = 'nfiBDIINeHZSgYAYhCcFl4SAhwcKenigCA==';
+
+// The first and last two pixels, as RGBA
+function edgePixels(pixels) {
+	return [...pixels.slice(0, 8), ...pixels.slice(-8)];
+}
+
+describe('placeholder', () => {
+	afterEach(() => {
+		vi.restoreAllMocks();
+		vi.unstubAllGlobals();
+	});
+
+	describe('BlurHash', () => {
+		it('validates hash structure', () => {
+			expect(isBlurHash(BLURHASH)).toBe(true);
+			expect(isBlurHash(BLURHASH.slice(0, -2))).toBe(false);
+			expect(isBlurHash('not a hash')).toBe(false);
+		});
+
+		it('decodes to the same pixels as the reference implementation', () => {
+			const pixels = decodeBlurHash(BLURHASH, 4, 4);
+			expect(pixels).toHaveLength(4 * 4 * 4);
+			expect(edgePixels(pixels)).toEqual([
+				135, 164, 177, 255, 161, 173, 177, 255, 169, 139, 111, 255, 153,
+				143, 134, 255,
+			]);
+		});
+	});
+
+	describe('ThumbHash', () => {
+		it('decodes to the same pixels as the reference implementation', () => {
+			const bytes = Uint8Array.from(atob(THUMBHASH), (char) =>
+				char.charCodeAt(0),
+			);
+			const { width, height, pixels, aspectRatio } =
+				decodeThumbHash(bytes);
+			expect(width).toBe(32);
+			expect(height).toBe(26);
+			expect(aspectRatio).toBe(1.25);
+			expect(edgePixels(pixels)).toEqual([
+				108, 125, 117, 221, 108, 125, 117, 221, 118, 124, 108, 221, 118,
+				124, 108, 221,
+			]);
+		});
+	});
+
+	describe('pixelsToDataURI', () => {
+		it('encodes a top-down 32-bit BMP', () => {
+			const uri = pixelsToDataURI(
+				1,
+				1,
+				new Uint8ClampedArray([10, 20, 30, 40]),
+			);
+			expect(uri.startsWith('data:image/bmp;base64,')).toBe(true);
+
+			const bytes = Uint8Array.from(atob(uri.split(',')[1]), (char) =>
+				char.charCodeAt(0),
+			);
+			const view = new DataView(bytes.buffer);
+			expect(String.fromCharCode(bytes[0], bytes[1])).toBe('BM');
+			expect(view.getInt32(22, true)).toBe(-1);
+			expect(view.getUint16(28, true)).toBe(32);
+			// Stored as BGRA
+			expect(Array.from(bytes.slice(122))).toEqual([30, 20, 10, 40]);
+		});
+	});
+
+	describe('parsePlaceholder', () => {
+		it('returns CSS colors as a dominant color', () => {
+			expect(parsePlaceholder('#3a5f7d')).toEqual({ color: '#3a5f7d' });
+			expect(parsePlaceholder('rgb(58 95 125)')).toEqual({
+				color: 'rgb(58 95 125)',
+			});
+		});
+
+		it('recognizes named colors without CSS.supports()', () => {
+			vi.stubGlobal('CSS', undefined);
+
+			expect(parsePlaceholder('red')).toEqual({ color: 'red' });
+			expect(parsePlaceholder('RebeccaPurple')).toEqual({
+				color: 'RebeccaPurple',
+			});
+			expect(parsePlaceholder('transparent')).toEqual({
+				color: 'transparent',
+			});
+		});
+
+		it('passes data URIs through unchanged', () => {
+			const uri = 'data:image/gif;base64,R0lGODlhAQABAAAAACw=';
+			expect(parsePlaceholder(uri)).toEqual({
+				image: uri,
+				aspectRatio: null,
+			});
+		});
+
+		it('decodes bare and prefixed BlurHash strings', () => {
+			const bare = parsePlaceholder(BLURHASH);
+			expect(bare.image.startsWith('data:image/bmp;base64,')).toBe(true);
+			expect(bare.aspectRatio).toBeNull();
+			expect(parsePlaceholder(`blurhash:${BLURHASH}`)).toEqual(bare);
+		});
+
+		it('decodes ThumbHash strings with their aspect ratio', () => {
+			const result = parsePlaceholder(`thumbhash:${THUMBHASH}`);
+			expect(result.image.startsWith('data:image/bmp;base64,')).toBe(
+				true,
+			);
+			expect(result.aspectRatio).toBe(1.25);
+		});
+
+		it('returns null for empty values', () => {
+			expect(parsePlaceholder(null)).toBeNull();
+			expect(parsePlaceholder('  ')).toBeNull();
+		});
+
+		it('warns about values it cannot decode', () => {
+			const consoleSpy = vi
+				.spyOn(console, 'warn')
+				.mockImplementation(() => {});
+
+			expect(parsePlaceholder('not a placeholder')).toBeNull();
+			expect(parsePlaceholder('thumbhash:!!')).toBeNull();
+			expect(consoleSpy).toHaveBeenCalledWith(
+				expect.stringContaining('invalid placeholder'),
+			);
+		});
+	});
+});
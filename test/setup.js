@@ -3,6 +3,11 @@ import { LazyImgElement } from '../lazy-img.js';
 
 // Define the custom element before tests run
 beforeAll(() => {
+	// Server rendering tests run in Node, without a DOM
+	if (typeof customElements === 'undefined') {
+		return;
+	}
+
 	if (!customElements.get('lazy-img')) {
 		customElements.define('lazy-img', LazyImgElement);
 	}
@@ -0,0 +1,141 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { LazyImgElement } from '../lazy-img.js';
+import { renderLazyImg, renderPreloadLinks } from '../ssr.js';
+
+describe('renderLazyImg', () => {
+	it('imports without a DOM', () => {
+		expect(typeof HTMLElement).toBe('undefined');
+		expect(typeof LazyImgElement).toBe('function');
+	});
+
+	it('renders a declarative shadow root with the image when no conditions apply', () => {
+		const html = renderLazyImg({
+			src: 'photo.jpg',
+			alt: 'A photo',
+			width: 800,
+			height: 600,
+		});
+
+		expect(html).toMatch(
+			/^<lazy-img src="photo.jpg" alt="A photo" width="800" height="600"><template shadowrootmode="open"><style>/,
+		);
+		expect(html).toContain(
+			'<img src="photo.jpg" alt="A photo" width="800" height="600">',
+		);
+		expect(html.endsWith('</template></lazy-img>')).toBe(true);
+	});
+
+	it('leaves the image out while loading conditions apply', () => {
+		const html = renderLazyImg({
+			src: 'photo.jpg',
+			'min-inline-size': 600,
+		});
+
+		expect(html).toContain('min-inline-size="600"');
+		expect(html).toContain('<style>');
+		expect(html).not.toContain('<img');
+	});
+
+	it('reserves space with the placeholder', () => {
+		const html = renderLazyImg({
+			src: 'photo.jpg',
+			query: 'view',
+			width: 800,
+			height: 600,
+			placeholder: '#3a5f7d',
+		});
+
+		expect(html).toContain(
+			'<div class="placeholder" part="placeholder" aria-hidden="true" style="background-color: #3a5f7d; aspect-ratio: 800 / 600"></div>',
+		);
+	});
+
+	it('renders named color placeholders', () => {
+		const html = renderLazyImg({
+			src: 'photo.jpg',
+			query: 'view',
+			placeholder: 'red',
+		});
+
+		expect(html).toContain('style="background-color: red"');
+	});
+
+	it('renders the image in a picture with the source children', () => {
+		const html = renderLazyImg(
+			{ src: 'photo.jpg', alt: 'A photo' },
+			'<source type="image/avif" srcset="photo.avif?w=1&amp;h=2" data-x="1"><source media=\'(min-width: 48em)\' srcset=wide.jpg>',
+		);
+
+		expect(html).toContain(
+			'<picture><source type="image/avif" srcset="photo.avif?w=1&amp;h=2"><source media="(min-width: 48em)" srcset="wide.jpg"><img src="photo.jpg" alt="A photo"></picture></template>',
+		);
+	});
+
+	it('reserves space from width and height without a placeholder', () => {
+		const html = renderLazyImg({
+			src: 'photo.jpg',
+			query: 'view',
+			width: 800,
+			height: 600,
+		});
+
+		expect(html).toContain(
+			'<div class="reserved" aria-hidden="true" style="inline-size: 800px; aspect-ratio: 800 / 600"></div>',
+		);
+		expect(
+			renderLazyImg({ src: 'photo.jpg', query: 'view' }),
+		).not.toContain('class="reserved"');
+	});
+
+	it('escapes attribute values', () => {
+		const html = renderLazyImg({ src: 'a.jpg?w=1&h=2', alt: '"><script>' });
+
+		expect(html).toContain('src="a.jpg?w=1&amp;h=2"');
+		expect(html).toContain('alt="&quot;&gt;&lt;script&gt;"');
+		expect(html).not.toContain('<script>');
+	});
+
+	it('renders boolean attributes and skips false ones', () => {
+		const html = renderLazyImg({
+			src: 'photo.jpg',
+			'skip-on-save-data': true,
+			print: false,
+		});
+
+		expect(html).toContain('skip-on-save-data=""');
+		expect(html).not.toContain('print');
+	});
+
+	it('renders light DOM children after the shadow root', () => {
+		const html = renderLazyImg(
+			{ src: 'photo.jpg' },
+			'<source type="image/avif" srcset="photo.avif">',
+		);
+
+		expect(html).toContain(
+			'</template><source type="image/avif" srcset="photo.avif"></lazy-img>',
+		);
+	});
+
+	it('renders an empty shadow root without a source', () => {
+		expect(renderLazyImg()).toBe(
+			'<lazy-img><template shadowrootmode="open"></template></lazy-img>',
+		);
+	});
+});
+
+describe('renderPreloadLinks', () => {
+	it('renders one preload hint per image without loading conditions', () => {
+		const html = renderPreloadLinks([
+			{ src: 'hero.jpg', fetchpriority: 'high', preload: true },
+			{ src: 'hero.jpg', fetchpriority: 'high', preload: true },
+			{ src: 'plain.jpg' },
+			{ src: 'lazy.jpg', query: 'view', preload: true },
+		]);
+
+		expect(html).toBe(
+			'<link rel="preload" as="image" href="hero.jpg" fetchpriority="high">',
+		);
+	});
+});